@@ -0,0 +1,24 @@
+// Times parsing benchmark/composition.md, a composition of a little over twenty minutes.
+// `node benchmark/parse.js 10` parses the notation written out ten times, parse time
+// should grow in proportion.
+const fs = require('fs');
+const path = require('path');
+const parseDocument = require('../src/lib/parseDocument').default;
+
+const times = Number(process.argv[2]) || 1;
+const runs = 5;
+const composition = fs.readFileSync(path.resolve(__dirname, 'composition.md'), 'utf8');
+const header = composition.indexOf('||');
+const body = composition.substring(composition.indexOf('\n', header) + 1);
+const source = composition + body.repeat(times - 1);
+
+let best = Infinity;
+let doc = null;
+for (let i = 0; i < runs; i++) {
+  const start = process.hrtime();
+  doc = parseDocument(source);
+  const [seconds, nanoseconds] = process.hrtime(start);
+  best = Math.min(best, seconds * 1000 + nanoseconds / 1e6);
+}
+console.log(`${source.length} characters, ${doc.notes.length} notes, ${doc.beats} beats, ${doc.diagnostics.length} diagnostics`);
+console.log(`parsed in ${best.toFixed(1)} ms (best of ${runs})`);
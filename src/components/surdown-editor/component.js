@@ -1,24 +1,114 @@
 "use strict";
 const ToneFactory_1 = require("../../lib/ToneFactory");
-const SD = require("surdownjs");
 const SampleCompositions_1 = require("../../lib/SampleCompositions");
+const SDDocument_1 = require("../../lib/SDDocument");
+const SDDiagnostic_1 = require("../../lib/SDDiagnostic");
+const SDSourcePlayer_1 = require("../../lib/SDSourcePlayer");
+const SDPreview_1 = require("../../lib/SDPreview");
+const SDFormatter_1 = require("../../lib/SDFormatter");
+const SDTransliterator_1 = require("../../lib/SDTransliterator");
 const mdc_textfield_js_1 = require("@material/textfield/dist/mdc.textfield.js");
 var comp = {
     onCreate: function () {
-        this.state = {};
+        this.state = {
+            diagnostics: [],
+            preview: [],
+            sections: []
+        };
     },
     textchange: function (event) {
         console.log(event.target.value);
     },
     play: async function () {
         let input = this.getEl('textarea');
-        const Tone = require("Tone");
-        localStorage.setItem('composition', input.value);
+        let doc = this.refresh();
+        let isSelected = input.selectionStart !== input.selectionEnd;
+        this.whenAudible(doc, () => {
+            isSelected || !doc.arrangement.length ? this.player.play(doc, input.selectionStart, input.selectionEnd)
+                : this.player.playSections(doc, doc.arrangement);
+        });
+    },
+    playSection: function (name) {
+        let doc = this.refresh();
+        let section = doc.section(name);
+        section && this.whenAudible(doc, () => this.player.playSections(doc, [section]));
+    },
+    /*
+     * Rewrites the composition in canonical form, see SDFormatter.
+     */
+    format: function () {
+        this.replaceText(SDFormatter_1.default.format(this.refresh()));
+    },
+    /*
+     * Rewrites the swaras in Roman letters or in Devanagari, see
+     * SDTransliterator.
+     */
+    convert: function (script) {
+        let doc = this.refresh();
+        this.replaceText(script === 'roman' ? SDTransliterator_1.default.toRoman(doc) : SDTransliterator_1.default.toDevanagari(doc));
+    },
+    /*
+     * Replaces the whole composition as one edit, so it can be undone like
+     * typing. Browsers without the insertText command lose the undo history.
+     */
+    replaceText: function (text) {
+        let input = this.getEl('textarea');
+        if (text === input.value) {
+            return;
+        }
         input.focus();
-        Tone.context.resume().then(() => {
-            new SD.Player(Tone, this.piano, 63).play(input.value, input.selectionStart, input.selectionEnd);
+        input.select();
+        document.execCommand('insertText', false, text) || input.setRangeText(text, 0, input.value.length, 'end');
+        this.refresh();
+    },
+    /*
+     * Re-parses shortly after typing stops, so preview and diagnostics
+     * follow the edits.
+     */
+    edit: function () {
+        clearTimeout(this.editTimer);
+        this.editTimer = setTimeout(() => this.refresh(), 150);
+    },
+    /*
+     * Parses the composition and updates diagnostics, preview and the list of
+     * sections from it. Only what changed since the last parse is parsed
+     * again.
+     */
+    refresh: function () {
+        let input = this.getEl('textarea');
+        localStorage.setItem('composition', input.value);
+        let doc = SDDocument_1.default.parse(input.value, this.doc);
+        this.doc = doc;
+        this.state.diagnostics = doc.diagnostics;
+        this.state.preview = SDPreview_1.default.lines(doc, this.state.preview);
+        this.state.sections = doc.sections.filter((section) => section.name).map((section) => section.name);
+        return doc;
+    },
+    whenAudible: function (doc, play) {
+        const Tone = require("Tone");
+        Tone.context.resume().then(play).catch((e) => {
+            this.state.diagnostics = doc.diagnostics.concat(SDDiagnostic_1.default.fromError(doc.source, e));
         });
     },
+    reveal: function (diagnostic) {
+        let input = this.getEl('textarea');
+        input.focus();
+        input.setSelectionRange(diagnostic.offset, diagnostic.offset + diagnostic.text.length);
+    },
+    /*
+     * Marks the swar being played in the preview, leaving the caret and
+     * selection of the textarea to the typing.
+     */
+    highlight: function (note) {
+        let preview = this.getEl('preview');
+        this.unhighlight();
+        this.playing = preview ? preview.querySelector(`[data-start="${note.start}"]`) : null;
+        this.playing && this.playing.classList.add('surdown-preview__cell--playing');
+    },
+    unhighlight: function () {
+        this.playing && this.playing.classList.remove('surdown-preview__cell--playing');
+        this.playing = null;
+    },
     onMount: function () {
         this.comp = mdc_textfield_js_1.MDCTextField.attachTo(this.getEl('editor'));
         let view = require('../fullscreen-loader');
@@ -37,6 +127,7 @@ var comp = {
         });
         this.getEl('textarea').value = localStorage.getItem('composition') || SampleCompositions_1.default.basicSargam;
         ;
+        this.refresh();
         const Tone = ToneFactory_1.default.Instance();
         this.piano = new Tone.Sampler({
             56: '100_Pa_B_harmonium1_1.mp3',
@@ -56,12 +147,17 @@ var comp = {
         }).toMaster();
         var vol = new Tone.Volume(0);
         this.piano.chain(vol, Tone.Master);
+        this.player = new SDSourcePlayer_1.default(Tone, this.piano);
+        this.player.on('note', (note) => this.highlight(note));
+        this.player.on('end', () => this.unhighlight());
         Tone.Transport.bpm.value = 80;
         Tone.Buffer.on('load', () => {
             loader.getComponent().destroy();
         });
     },
     onDestroy() {
+        clearTimeout(this.editTimer);
+        this.player && this.player.stop();
         this.comp && this.comp.destroy();
     }
 };
@@ -1,11 +1,20 @@
 import ToneFactory from "../../lib/ToneFactory";
-import * as SD from 'surdownjs';
 import SampleCompositions from '../../lib/SampleCompositions';
+import SDDocument from '../../lib/SDDocument';
+import SDDiagnostic from '../../lib/SDDiagnostic';
+import SDSourcePlayer from '../../lib/SDSourcePlayer';
+import SDSourceNote from '../../lib/SDSourceNote';
+import SDPreview from '../../lib/SDPreview';
+import SDFormatter from '../../lib/SDFormatter';
+import SDTransliterator from '../../lib/SDTransliterator';
 import { MDCTextField } from "@material/textfield/dist/mdc.textfield.js"
 var comp = {
 
 	onCreate: function () {
 		this.state = {
+			diagnostics: [],
+			preview: [],
+			sections: []
 		};
 	},
 
@@ -14,15 +23,96 @@ var comp = {
 	},
 	play: async function () {
 		let input = this.getEl('textarea');
+		let doc = this.refresh();
+		let isSelected = input.selectionStart !== input.selectionEnd;
 
-		const Tone = require("Tone");
-		localStorage.setItem('composition', input.value);
+		this.whenAudible(doc, () => {
+			isSelected || !doc.arrangement.length ? this.player.play(doc, input.selectionStart, input.selectionEnd)
+				: this.player.playSections(doc, doc.arrangement);
+		});
+	},
+	playSection: function (name: string) {
+		let doc = this.refresh();
+		let section = doc.section(name);
+		section && this.whenAudible(doc, () => this.player.playSections(doc, [section]));
+	},
+	/*
+	 * Rewrites the composition in canonical form, see SDFormatter.
+	 */
+	format: function () {
+		this.replaceText(SDFormatter.format(this.refresh()));
+	},
+	/*
+	 * Rewrites the swaras in Roman letters or in Devanagari, see
+	 * SDTransliterator.
+	 */
+	convert: function (script: string) {
+		let doc = this.refresh();
+		this.replaceText(script === 'roman' ? SDTransliterator.toRoman(doc) : SDTransliterator.toDevanagari(doc));
+	},
+	/*
+	 * Replaces the whole composition as one edit, so it can be undone like
+	 * typing. Browsers without the insertText command lose the undo history.
+	 */
+	replaceText: function (text: string) {
+		let input = this.getEl('textarea');
+		if (text === input.value) {
+			return;
+		}
 		input.focus();
+		input.select();
+		document.execCommand('insertText', false, text) || input.setRangeText(text, 0, input.value.length, 'end');
+		this.refresh();
+	},
+	/*
+	 * Re-parses shortly after typing stops, so preview and diagnostics
+	 * follow the edits.
+	 */
+	edit: function () {
+		clearTimeout(this.editTimer);
+		this.editTimer = setTimeout(() => this.refresh(), 150);
+	},
+	/*
+	 * Parses the composition and updates diagnostics, preview and the list of
+	 * sections from it. Only what changed since the last parse is parsed
+	 * again.
+	 */
+	refresh: function (): SDDocument {
+		let input = this.getEl('textarea');
+		localStorage.setItem('composition', input.value);
 
-		Tone.context.resume().then(() => {
-			new SD.Player(Tone, this.piano, 63).play(input.value, input.selectionStart, input.selectionEnd);
+		let doc = SDDocument.parse(input.value, this.doc);
+		this.doc = doc;
+		this.state.diagnostics = doc.diagnostics;
+		this.state.preview = SDPreview.lines(doc, this.state.preview);
+		this.state.sections = doc.sections.filter((section) => section.name).map((section) => section.name);
+		return doc;
+	},
+	whenAudible: function (doc: SDDocument, play: () => void) {
+		const Tone = require("Tone");
+		Tone.context.resume().then(play).catch((e) => {
+			this.state.diagnostics = doc.diagnostics.concat(SDDiagnostic.fromError(doc.source, e));
 		});
 	},
+	reveal: function (diagnostic: SDDiagnostic) {
+		let input = this.getEl('textarea');
+		input.focus();
+		input.setSelectionRange(diagnostic.offset, diagnostic.offset + diagnostic.text.length);
+	},
+	/*
+	 * Marks the swar being played in the preview, leaving the caret and
+	 * selection of the textarea to the typing.
+	 */
+	highlight: function (note: SDSourceNote) {
+		let preview = this.getEl('preview');
+		this.unhighlight();
+		this.playing = preview ? preview.querySelector(`[data-start="${note.start}"]`) : null;
+		this.playing && this.playing.classList.add('surdown-preview__cell--playing');
+	},
+	unhighlight: function () {
+		this.playing && this.playing.classList.remove('surdown-preview__cell--playing');
+		this.playing = null;
+	},
 	onMount: function () {
 
 		this.comp = MDCTextField.attachTo(this.getEl('editor'));
@@ -50,6 +140,7 @@ var comp = {
 
 		});
 		this.getEl('textarea').value = localStorage.getItem('composition') || SampleCompositions.basicSargam;;
+		this.refresh();
 		const Tone = ToneFactory.Instance();
 
 		this.piano = new Tone.Sampler({
@@ -74,6 +165,10 @@ var comp = {
 		var vol = new Tone.Volume(0);
 		this.piano.chain(vol, Tone.Master);
 
+		this.player = new SDSourcePlayer(Tone, this.piano);
+		this.player.on('note', (note) => this.highlight(note));
+		this.player.on('end', () => this.unhighlight());
+
 		Tone.Transport.bpm.value = 80;
 
 		Tone.Buffer.on('load', () => {
@@ -87,6 +182,8 @@ var comp = {
 
 	},
 	onDestroy() {
+		clearTimeout(this.editTimer);
+		this.player && this.player.stop();
 		this.comp && this.comp.destroy();
 	}
 
@@ -0,0 +1,8 @@
+/*
+ * A line of the editor preview. Its input is the SDPreviewLine, which
+ * SDPreview.lines takes over unchanged for the lines before an edit, so
+ * only the lines from the edit on are rendered again.
+ */
+var comp = {
+}
+export = comp;
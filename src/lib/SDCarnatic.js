@@ -0,0 +1,81 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * Carnatic swarasthanas (S R1 R2 R3 G1 G2 G3 M1 M2 P D1 D2 D3 N1 N2 N3).
+ * The melakarta declared in the header, `||carnatic: 15||`, decides which
+ * R, G, M, D and N a letter without a number stands for; without one
+ * Dheerashankarabharanam (29) is used.
+ */
+class SDCarnatic {
+    constructor(melakarta = 29) {
+        let index = melakarta - 1;
+        let chakra = SDCarnatic.pairs[Math.floor(index % 36 / 6)];
+        let position = SDCarnatic.pairs[index % 6];
+        this.melakarta = melakarta;
+        this.variants = {
+            'S': 'S',
+            'R': 'R' + chakra[0],
+            'G': 'G' + chakra[1],
+            'M': index < 36 ? 'M1' : 'M2',
+            'P': 'P',
+            'D': 'D' + position[0],
+            'N': 'N' + position[1]
+        };
+    }
+    /*
+     * `carnatic` or `carnatic: 15` in the header.
+     */
+    static parse(field) {
+        let match = field.match(/^carnatic(\s*:?\s*(\d+))?$/i);
+        let melakarta = match && match[2] ? Number(match[2]) : 29;
+        return match && melakarta >= 1 && melakarta <= 72 ? new SDCarnatic(melakarta) : null;
+    }
+    static isSwarasthana(name) {
+        return SDCarnatic.swarasthanas[name] !== undefined;
+    }
+    /*
+     * Semitones above S of a swarasthana like 'R2', null for anything else.
+     */
+    static semitones(name) {
+        return SDCarnatic.isSwarasthana(name) ? SDCarnatic.swarasthanas[name] : null;
+    }
+    /*
+     * Handwritten style: a dot above per taara and below per mandra octave
+     * and the variant number as a subscript, e.g. '*R2' as Ṙ₂.
+     */
+    static render(value) {
+        let name = value.replace(/^[*\/]+/, '');
+        let up = value.split('*').length - 1;
+        let down = value.split('/').length - 1;
+        let number = name.substring(1).replace(/\d/g, (digit) => String.fromCharCode(0x2080 + Number(digit)));
+        return name.charAt(0) + '\u0307'.repeat(up) + '\u0323'.repeat(down) + number;
+    }
+    /*
+     * Swarasthana a letter, with or without its number, stands for in this
+     * mela, or null when there is no such swarasthana.
+     */
+    resolve(letter, number) {
+        let name = number ? letter.toUpperCase() + number : this.variants[letter.toUpperCase()];
+        return SDCarnatic.isSwarasthana(name) ? name : null;
+    }
+}
+SDCarnatic.swarasthanas = {
+    'S': 0,
+    'R1': 1,
+    'R2': 2,
+    'R3': 3,
+    'G1': 2,
+    'G2': 3,
+    'G3': 4,
+    'M1': 5,
+    'M2': 6,
+    'P': 7,
+    'D1': 8,
+    'D2': 9,
+    'D3': 10,
+    'N1': 9,
+    'N2': 10,
+    'N3': 11
+};
+SDCarnatic.pairs = [['1', '1'], ['1', '2'], ['1', '3'], ['2', '2'], ['2', '3'], ['3', '3']]; //R/G and D/N of each chakra
+exports.default = SDCarnatic;
@@ -0,0 +1,27 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * Renders surdown note values ('*_र', '/ध', '^म' ...) the way sargam is
+ * handwritten in Devanagari: a dot below for mandra, a dot above for taar,
+ * a line below for komal and a line above for tivra.
+ */
+class SDDevanagari {
+    static swar(value) {
+        let swar = value.charAt(value.length - 1);
+        let syllable = SDDevanagari.syllables[swar] || swar;
+        let up = value.split('*').length - 1;
+        let down = value.split('/').length - 1;
+        return swar + '़'.repeat(down) + syllable.substring(1) + 'ं'.repeat(up) +
+            (value.indexOf('_') >= 0 ? '॒' : '') + (value.indexOf('^') >= 0 ? '॑' : '');
+    }
+}
+SDDevanagari.syllables = {
+    'स': 'सा',
+    'र': 'रे',
+    'ग': 'ग',
+    'म': 'म',
+    'प': 'प',
+    'ध': 'ध',
+    'न': 'नि'
+};
+exports.default = SDDevanagari;
@@ -0,0 +1,29 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDLineIndex_1 = require("./SDLineIndex");
+class SDDiagnostic {
+    constructor(severity, message, line, column, text, offset) {
+        this.severity = severity;
+        this.message = message;
+        this.line = line;
+        this.column = column;
+        this.text = text;
+        this.offset = offset;
+    }
+    static at(source, offset, text, message, severity = 'error') {
+        let lines = SDLineIndex_1.default.of(source);
+        let line = lines.line(offset);
+        return new SDDiagnostic(severity, message, line + 1, offset - lines.lineStart(offset) + 1, text, offset);
+    }
+    static fromError(source, e) {
+        let message = (e && e.message) || String(e);
+        return new SDDiagnostic('error', message, 1, 1, '', 0);
+    }
+    isError() {
+        return this.severity === 'error';
+    }
+    toString() {
+        return `${this.line}:${this.column} ${this.severity}: ${this.message}`;
+    }
+}
+exports.default = SDDiagnostic;
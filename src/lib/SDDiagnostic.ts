@@ -0,0 +1,41 @@
+import SDLineIndex from './SDLineIndex';
+
+export type SDSeverity = 'error' | 'warning';
+
+export default class SDDiagnostic {
+
+    severity: SDSeverity
+    message: string
+    line: number //1-based
+    column: number //1-based
+    text: string
+    offset: number
+
+    constructor(severity: SDSeverity, message: string, line: number, column: number, text: string, offset: number) {
+        this.severity = severity;
+        this.message = message;
+        this.line = line;
+        this.column = column;
+        this.text = text;
+        this.offset = offset;
+    }
+
+    static at(source: string, offset: number, text: string, message: string, severity: SDSeverity = 'error'): SDDiagnostic {
+        let lines = SDLineIndex.of(source);
+        let line = lines.line(offset);
+        return new SDDiagnostic(severity, message, line + 1, offset - lines.lineStart(offset) + 1, text, offset);
+    }
+
+    static fromError(source: string, e: any): SDDiagnostic {
+        let message = (e && e.message) || String(e);
+        return new SDDiagnostic('error', message, 1, 1, '', 0);
+    }
+
+    isError(): boolean {
+        return this.severity === 'error';
+    }
+
+    toString() {
+        return `${this.line}:${this.column} ${this.severity}: ${this.message}`;
+    }
+}
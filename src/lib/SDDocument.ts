@@ -0,0 +1,219 @@
+import SDHeader from './SDHeader';
+import SDTokenizer, { SDToken } from './SDTokenizer';
+import SDRhythm, { SDRhythmCheckpoint } from './SDRhythm';
+import SDSourceNote from './SDSourceNote';
+import SDTempo from './SDTempo';
+import SDDiagnostic from './SDDiagnostic';
+import SDLyrics, { SDSyllable } from './SDLyrics';
+import SDLineIndex from './SDLineIndex';
+
+interface SDLineTokens { //tokens of a line of notation, as read when it started at `start`
+    text: string
+    start: number
+    tokens: SDToken[]
+    diagnostics: SDDiagnostic[]
+}
+
+export interface SDSection {
+    name: string //'' for notation written before the first heading
+    start: number
+    end: number
+}
+
+export default class SDDocument {
+
+    source: string
+    header: SDHeader
+    tokens: SDToken[]
+    notes: SDSourceNote[]
+    tempo: SDTempo
+    sections: SDSection[]
+    lyrics: SDSyllable[]
+    arrangement: SDSection[]
+    diagnostics: SDDiagnostic[]
+    unchanged: number = 0 //offset up to which the parse was taken from the previous document, 0 when parsed in full
+    private lines: SDLineTokens[] = []
+    private rhythm: SDRhythm
+    private aligner: SDLyrics
+    private tokenDiagnostics: SDDiagnostic[]
+
+    /*
+     * With `previous`, the document parsed before the latest edit, lines
+     * whose text is unchanged keep their tokens, and the notes, lyrics,
+     * sections and diagnostics before the edit are taken over from it:
+     * only what follows the last rhythm checkpoint before the edit is
+     * worked out again, see tokenize and SDRhythm.assign.
+     */
+    constructor(source: string, previous?: SDDocument) {
+        this.source = source;
+        let notation = SDTokenizer.withoutComments(source);
+        this.header = SDHeader.parse(notation);
+        previous = previous && previous.header.end === this.header.end && previous.header.fields.join('||') === this.header.fields.join('||') ? previous : null;
+        let changed = previous ? SDDocument.firstChange(source, previous.source) : 0;
+        this.tokens = this.tokenize(notation, previous, changed);
+        let from = previous ? this.checkpoint(previous, changed) : null;
+        previous = from ? previous : null;
+        this.unchanged = from ? from.start : 0;
+        this.tempo = from ? previous.tempo.until(from.tempo) : new SDTempo(this.header.bpm);
+        this.rhythm = new SDRhythm(source, this.tempo);
+        this.aligner = new SDLyrics(source);
+        this.notes = this.rhythm.assign(this.tokens, from, previous && previous.rhythm, previous && previous.notes);
+        this.sections = this.findSections(from, previous);
+        let syllables = this.aligner.align(this.tokens, this.notes, from, previous && previous.aligner);
+        this.lyrics = previous ? previous.lyrics.slice(0, SDDocument.count(previous.lyrics, (syllable) => syllable.start < from.start)).concat(syllables) : syllables;
+        let diagnostics = this.tokenDiagnostics.slice(SDDocument.count(this.tokenDiagnostics, (d) => d.offset < this.unchanged))
+            .concat(this.rhythm.diagnostics.slice(from ? from.diagnostics : 0), this.aligner.diagnostics);
+        diagnostics = this.header.taal ? diagnostics.concat(this.header.taal.check(this.notes, this.tempo, source, from ? from.notes : 0)) : diagnostics;
+        diagnostics = this.header.raag && !this.header.carnatic ? diagnostics.concat(this.header.raag.check(this.notes, source, from ? from.notes : 0)) : diagnostics;
+        let kept = previous ? previous.diagnostics.slice(SDDocument.count(previous.diagnostics, (d) => d.offset < this.header.end), SDDocument.count(previous.diagnostics, (d) => d.offset < from.start)) : [];
+        let inHeader = this.header.diagnostics.slice();
+        this.arrangement = this.arrange(inHeader);
+        this.diagnostics = inHeader.sort(SDDocument.byOffset).concat(kept, diagnostics.sort(SDDocument.byOffset));
+    }
+
+    static parse(source: string, previous?: SDDocument): SDDocument {
+        return new SDDocument(source, previous);
+    }
+
+    section(name: string): SDSection {
+        return this.sections.find((section) => section.name && section.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    hasErrors(): boolean {
+        return this.diagnostics.some((d) => d.isError());
+    }
+
+    /*
+     * Notes lying inside the given source range, or every note when the
+     * range is empty (an editor selection with nothing selected).
+     */
+    notesBetween(start?: number, end?: number): SDSourceNote[] {
+        let isSelected = start !== end;
+        return isSelected ? this.notes.filter((note) => note.start >= start && note.end <= end) : this.notes;
+    }
+
+    /*
+     * Index of the first token starting at or after `offset`.
+     */
+    tokenAt(offset: number): number {
+        return SDDocument.count(this.tokens, (token) => token.start < offset);
+    }
+
+    /*
+     * A section runs from its heading to the next one. Notation before the
+     * first heading forms an unnamed section. From a checkpoint only the
+     * headings after it are looked for.
+     */
+    private findSections(from: SDRhythmCheckpoint, previous: SDDocument): SDSection[] {
+        let sections: SDSection[] = [];
+        let before = previous ? previous.sections.filter((section) => section.name && section.start < from.start).map((section) => ({ value: section.name, start: section.start })) : [];
+        let headings = before.concat(this.tokens.slice(from ? from.token : 0).filter((token) => token.type === 'section'));
+        let isUntitled = this.tokens.length && this.tokens[0].type !== 'section';
+        isUntitled && sections.push({ name: '', start: this.header.end, end: headings.length ? headings[0].start : this.source.length });
+        headings.forEach((heading, i) => sections.push({
+            name: heading.value,
+            start: heading.start,
+            end: i + 1 < headings.length ? headings[i + 1].start : this.source.length
+        }));
+        return sections;
+    }
+
+    /*
+     * Tokens never run past the end of a line, so the notation is read line
+     * by line. The lines before the first `changed` character are those of
+     * `previous`, and a line after it whose text is unchanged reuses its
+     * tokens, moved to where the line now starts.
+     */
+    private tokenize(notation: string, previous: SDDocument, changed: number): SDToken[] {
+        let kept = previous ? SDDocument.count(previous.lines, (line) => line.start + line.text.length < changed) : 0;
+        let reusable: { [text: string]: SDLineTokens } = {};
+        previous && previous.lines.slice(kept).forEach((line) => reusable[line.text] = line);
+        this.lines = previous ? previous.lines.slice(0, kept) : [];
+        let start = kept ? this.lines[kept - 1].start + this.lines[kept - 1].text.length + 1 : this.header.end;
+        let tokens = previous ? previous.tokens.slice(0, previous.tokenAt(start)) : [];
+        this.tokenDiagnostics = previous ? previous.tokenDiagnostics.slice(0, SDDocument.count(previous.tokenDiagnostics, (d) => d.offset < start)) : [];
+        while (start < notation.length) {
+            let newline = notation.indexOf('\n', start);
+            let end = newline < 0 ? notation.length : newline;
+            let text = notation.substring(start, end);
+            let line = reusable[text];
+            if (!line) {
+                let tokenizer = new SDTokenizer(notation, start, end);
+                tokenizer.carnatic = this.header.carnatic;
+                tokenizer.thaat = this.header.thaat;
+                line = { text: text, start: start, tokens: tokenizer.tokenize(), diagnostics: tokenizer.diagnostics };
+            }
+            let shift = start - line.start;
+            line = {
+                text: text,
+                start: start,
+                tokens: shift ? line.tokens.map((token) => SDDocument.moved(token, shift)) : line.tokens,
+                diagnostics: line.diagnostics.map((d) => SDDiagnostic.at(notation, d.offset + shift, d.text, d.message, d.severity)) //lines before may have changed
+            };
+            line.tokens.forEach((token) => tokens.push(token));
+            line.diagnostics.forEach((d) => this.tokenDiagnostics.push(d));
+            this.lines.push(line);
+            start = end + 1;
+        }
+        return tokens;
+    }
+
+    private static moved(token: SDToken, shift: number): SDToken {
+        let moved = Object.assign({}, token, { start: token.start + shift, end: token.end + shift });
+        token.kan && (moved.kan = token.kan.map((kan) => SDDocument.moved(kan, shift)));
+        return moved;
+    }
+
+    /*
+     * Last line boundary of the previous parse that lies before the first
+     * changed character.
+     */
+    private checkpoint(previous: SDDocument, changed: number): SDRhythmCheckpoint {
+        let lineStart = SDLineIndex.of(this.source).lineStart(changed);
+        let checkpoints = previous.rhythm.checkpoints;
+        let from: SDRhythmCheckpoint = null;
+        for (let i = 0; i < checkpoints.length && checkpoints[i].start < lineStart; i++) {
+            from = checkpoints[i];
+        }
+        return from;
+    }
+
+    private arrange(diagnostics: SDDiagnostic[]): SDSection[] {
+        let arrangement: SDSection[] = [];
+        let offset = this.header.start;
+        for (let name of this.header.arrangement) {
+            let section = this.section(name);
+            offset = this.source.indexOf(name, offset);
+            section ? arrangement.push(section) : diagnostics.push(SDDiagnostic.at(this.source, offset, name, `Unknown section "${name}" in the play order`));
+            offset += name.length;
+        }
+        return arrangement;
+    }
+
+    private static firstChange(source: string, previous: string): number {
+        let changed = 0;
+        let length = Math.min(source.length, previous.length);
+        while (changed < length && source.charCodeAt(changed) === previous.charCodeAt(changed)) {
+            changed++;
+        }
+        return changed;
+    }
+
+    /*
+     * Number of items at the start of a list in source order for which
+     * `isBefore` holds, found by binary search.
+     */
+    private static count<T>(items: T[], isBefore: (item: T) => boolean): number {
+        let low = 0;
+        let high = items.length;
+        while (low < high) {
+            let mid = (low + high) >> 1;
+            isBefore(items[mid]) ? low = mid + 1 : high = mid;
+        }
+        return low;
+    }
+
+    private static byOffset(a: SDDiagnostic, b: SDDiagnostic): number {
+        return a.offset - b.offset;
+    }
+}
@@ -0,0 +1,210 @@
+import SDDocument from './SDDocument';
+import { SDToken } from './SDTokenizer';
+import SDLineIndex from './SDLineIndex';
+import SDTaal from './SDTaal';
+
+interface SDFormatterLine {
+    bars: string[] //null for a line that is written out as it is
+    matras: number[] //column each bar starts in, see place; null without a swar in the bar
+    text: string
+    comment: string
+}
+
+/*
+ * Writes a parsed composition back as canonical surdown: one space between
+ * beats and none inside `<>`, `|` for every bar, and the bars of
+ * consecutive notation lines aligned in columns. With a taal declared a
+ * column holds the bars starting on the same matra of the avartan, so
+ * lines of one and of two avartans share their columns and a line opening
+ * before sam is indented to its matra. Without one the n-th bars of the
+ * lines are aligned. Swaras keep the script they were written in and a
+ * meend stays joined to the swaras it was written against. Headings,
+ * lyrics lines and comments are kept, and a line with text the tokenizer
+ * could not read is left as it is.
+ */
+export default class SDFormatter {
+
+    private static marks = /[\u0300-\u036f\u0900-\u0903\u093a-\u093c\u093e-\u094f\u0951-\u0957\u0962\u0963\u0981-\u0983\u09bc\u09be-\u09d7\u0a01-\u0a03\u0a3c-\u0a51\u0a81-\u0a83\u0abc\u0abe-\u0acd\u0b82\u0bbe-\u0bcd\u0c00-\u0c04\u0c3e-\u0c56\u0c81-\u0c83\u0cbc\u0cbe-\u0cd6]/g //combining marks of the scripts in SDScript
+
+    static format(doc: SDDocument): string {
+        let source = doc.source;
+        let lines = SDLineIndex.of(source);
+        let byLine: { [line: number]: SDToken[] } = {};
+        doc.tokens.forEach((token) => (byLine[lines.line(token.start)] = byLine[lines.line(token.start)] || []).push(token));
+        let taal = doc.header.taal;
+        let beats: { [start: number]: number } = {}; //beat a swar, rest or tie is first played on
+        let ends: { [start: number]: number } = {}; //beat its last playing ends on
+        taal && doc.notes.forEach((note) => beats[note.start] === undefined && (beats[note.start] = note.beat));
+        taal && doc.notes.forEach((note) => ends[note.start] = Math.max(ends[note.start] || 0, note.beat + note.duration));
+        let beat = (start: number, isEnd?: boolean) => isEnd ? ends[start] : beats[start];
+        let matra = (start: number, isEnd?: boolean) => beat(start, isEnd) === undefined ? null : doc.tempo.matra(beat(start, isEnd)); //matras elapsed by then
+        let formatted: SDFormatterLine[] = [];
+        let header: SDFormatterLine = { bars: null, matras: null, text: source.substring(0, doc.header.start) + '||' + doc.header.fields.join('||') + '||', comment: '' };
+        doc.header.end && formatted.push(header);
+        for (let start = doc.header.end; start <= source.length;) {
+            let end = source.indexOf('\n', start);
+            end = end < 0 ? source.length : end;
+            let line = SDFormatter.line(source, start, end, byLine[lines.line(start)] || [], matra);
+            line.bars && SDFormatter.place(line, taal);
+            let isHeaderLine = start > lines.lineStart(start); //written after the header, on its line
+            let isComment = !line.bars && !line.text;
+            isHeaderLine && isComment ? (header.comment = line.comment) : (!isHeaderLine || source.substring(start, end).trim()) && formatted.push(line);
+            start = end + 1;
+        }
+        return SDFormatter.align(formatted)
+            .map((line) => line.text + (line.comment ? (line.text ? ' ' : '') + line.comment : ''))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    private static line(source: string, start: number, end: number, tokens: SDToken[], matra: (start: number, isEnd?: boolean) => number): SDFormatterLine {
+        let text = source.substring(start, end);
+        let comment = text.indexOf('%') >= 0 ? text.substring(text.indexOf('%')).trim() : '';
+        let notation = comment ? text.substring(0, text.indexOf('%')) : text;
+        let first = tokens[0];
+        if (!tokens.length || !SDFormatter.isRead(notation, start, tokens)) {
+            return { bars: null, matras: null, text: tokens.length ? notation.replace(/\s+$/, '') : notation.trim(), comment: comment };
+        }
+        if (first.type === 'section') {
+            return { bars: null, matras: null, text: notation.trim(), comment: comment };
+        }
+        if (first.type === 'lyrics') {
+            return { bars: null, matras: null, text: ('" ' + first.value.trim().replace(/\s+/g, ' ')).trim(), comment: comment };
+        }
+        let bars: string[][] = [[]];
+        let matras: number[] = [null];
+        let isOpen = false; //the last word opened a beat division
+        let previous: SDToken = null;
+        for (let token of tokens) {
+            let word = SDFormatter.word(source, token);
+            let bar = bars[bars.length - 1];
+            let wordStart = token.kan && token.kan.length ? source.lastIndexOf('(', token.kan[0].start) : token.start;
+            let isMeend = previous && (token.type === 'meend' || previous.type === 'meend') && !/\s/.test(source.substring(previous.end, wordStart));
+            matras[matras.length - 1] === null && (matras[matras.length - 1] = matra(token.start));
+            if (token.type === 'bar') {
+                bars.push([]);
+                matras.push(null);
+            } else if ((token.type === 'group-close' || isMeend) && bar.length) {
+                bar[bar.length - 1] += word;
+            } else {
+                isOpen && bar.length ? bar[bar.length - 1] += word : bar.push(word);
+            }
+            isOpen = token.type === 'group-open';
+            previous = token;
+        }
+        let played = tokens.filter((token) => matra(token.start, true) !== null);
+        let last = played[played.length - 1];
+        let isClosed = bars.length > 1 && !bars[bars.length - 1].length; //the line ends in a bar, which falls where its last swar ends
+        isClosed && last && (matras[matras.length - 1] = matra(last.start, true));
+        return { bars: bars.map((words) => words.join(' ')), matras: matras, text: null, comment: comment };
+    }
+
+    private static word(source: string, token: SDToken): string {
+        switch (token.type) {
+            case 'note':
+                let kan = token.kan && token.kan.length ? '(' + token.kan.map((k) => source.substring(k.start, k.end)).join(' ') + ')' : '';
+                return kan + source.substring(token.start, token.end);
+            case 'bar':
+                return '|';
+            case 'tempo':
+                return '{' + token.value + '}';
+        }
+        return source.substring(token.start, token.end);
+    }
+
+    /*
+     * Whether the tokens account for every character of the notation line
+     * other than spaces.
+     */
+    private static isRead(notation: string, start: number, tokens: SDToken[]): boolean {
+        let written = notation.replace(/\s/g, '').length;
+        let read = 0;
+        for (let token of tokens) {
+            let text = notation.substring(token.start - start, token.end - start);
+            read += text.replace(/\s/g, '').length;
+            let kan = token.kan && token.kan.length ? notation.lastIndexOf('(', token.kan[0].start - start) : -1;
+            kan >= 0 && (read += notation.substring(kan, token.start - start).replace(/\s/g, '').length);
+        }
+        return read === written;
+    }
+
+    /*
+     * Turns the elapsed matras the bars of a line start on into columns.
+     * With a taal the column is the matra of the avartan the line opens
+     * in, counted on past the last matra for a line of more than one
+     * avartan. Without one it is the bar's place in the line. A bar
+     * without a swar sits just after the bar before it, and a line with
+     * no swar at all is not aligned.
+     */
+    private static place(line: SDFormatterLine, taal: SDTaal) {
+        if (!taal) {
+            line.matras = line.bars.map((bar, i) => i);
+            return;
+        }
+        let round = (value: number) => Math.round(value * 1e6) / 1e6;
+        let known = line.matras.filter((matra) => matra !== null);
+        let base = known.length ? taal.matraAt(known[0]) - Math.floor(round(known[0])) : 0;
+        let matras = line.matras.map((matra) => matra === null ? null : round(base + matra));
+        let next = matras.map((matra, i) => matras.slice(i).find((m) => m !== null));
+        line.matras = known.length ? matras : matras.map(() => null);
+        known.length && matras.forEach((matra, i) => matra === null && (line.matras[i] = i ? line.matras[i - 1] + 1e-4 : next[i] - 1e-4 * (matras.indexOf(next[i]) - i)));
+    }
+
+    /*
+     * Sets each run of notation lines out in their columns, every column
+     * starting after the widest bar that ends in it, so a bar spanning
+     * columns another line splits still ends where the bars of that line
+     * do. Lyrics lines in between do not end a run.
+     */
+    private static align(lines: SDFormatterLine[]): SDFormatterLine[] {
+        let run: SDFormatterLine[] = [];
+        let flush = () => {
+            let placed = run.filter((line) => line.matras[0] !== null);
+            let columns: number[] = [];
+            placed.forEach((line) => line.matras.forEach((matra) => columns.indexOf(matra) < 0 && columns.push(matra)));
+            columns.sort((a, b) => a - b);
+            let ends: { from: number, width: number }[][] = columns.map(() => []); //bars by the column they end in
+            placed.forEach((line) => line.bars.forEach((bar, i) => {
+                let from = columns.indexOf(line.matras[i]);
+                let end = i + 1 < line.bars.length ? columns.indexOf(line.matras[i + 1]) : from + 1;
+                end < columns.length && ends[end].push({ from: from, width: SDFormatter.width(bar) + (i || bar ? 3 : 2) });
+            }));
+            let x: number[] = [];
+            columns.forEach((column, j) => x[j] = ends[j].reduce((max, bar) => Math.max(max, x[bar.from] + bar.width), j ? x[j - 1] + 1 : 0));
+            run.forEach((line) => {
+                if (line.matras[0] === null) {
+                    line.text = line.bars.join(' | ').replace(/^ /, '').replace(/\s+$/, '');
+                    return;
+                }
+                let text = '';
+                let width = 0;
+                let pad = (column: number) => {
+                    text += ' '.repeat(Math.max(0, column - width));
+                    width = Math.max(width, column);
+                };
+                line.bars.forEach((bar, i) => {
+                    let column = x[columns.indexOf(line.matras[i])];
+                    i && pad(column - 2);
+                    i && (text += '| ', width += 2);
+                    pad(column);
+                    text += bar;
+                    width += SDFormatter.width(bar);
+                });
+                line.text = text.replace(/\s+$/, '');
+            });
+            run = [];
+        };
+        for (let line of lines) {
+            line.bars ? run.push(line) : (!/^"/.test(line.text) || !run.length) && flush();
+        }
+        flush();
+        return lines;
+    }
+
+    /*
+     * Columns a text takes up, leaving out combining matras and marks.
+     */
+    private static width(text: string): number {
+        return text.replace(SDFormatter.marks, '').length;
+    }
+}
@@ -0,0 +1,128 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDTaal_1 = require("./SDTaal");
+const SDScript_1 = require("./SDScript");
+const SDCarnatic_1 = require("./SDCarnatic");
+const SDThaat_1 = require("./SDThaat");
+const SDRaag_1 = require("./SDRaag");
+const SDTuning_1 = require("./SDTuning");
+const SDDiagnostic_1 = require("./SDDiagnostic");
+/*
+ * Reads the `||bpm||scale||taal||` metadata header. Tempo and key follow
+ * surdownjs' SDPreProcessor; the header also remembers where the notation
+ * body starts. A `||play: sthayi, antara, sthayi||` field arranges the
+ * named sections for playback and `||script: bengali||` chooses the script
+ * the notation is shown in. `||carnatic||` switches to Carnatic
+ * swarasthana notation and a thaat or raag, `||bhairav||`, sets the
+ * variants of unmarked swaras. A raag from the catalogue is also checked.
+ * `||tuning: just||` chooses the tuning system, see SDTuning. A field
+ * that is none of these, or names one with a value that cannot be used,
+ * is reported in `diagnostics`.
+ */
+class SDHeader {
+    constructor() {
+        this.bpm = 60;
+        this.scale = 60;
+        this.taal = null;
+        this.arrangement = []; //section names in the order they are played
+        this.script = 'devanagari';
+        this.carnatic = null;
+        this.thaat = null;
+        this.raag = null;
+        this.tuning = SDTuning_1.default.equal();
+        this.fields = [];
+        this.diagnostics = [];
+        this.start = 0;
+        this.end = 0; //offset of the first notation character
+    }
+    static parse(str) {
+        let header = new SDHeader();
+        let reg = /\|\|/g;
+        let match;
+        let indeces = [];
+        while ((match = reg.exec(str)) != null) {
+            indeces.push(match.index);
+        }
+        if (!indeces.length) {
+            return header;
+        }
+        header.start = indeces.length >= 2 ? indeces[0] : 0;
+        header.end = indeces[indeces.length - 1] + 2;
+        let metaDataString = str.substring(indeces.length >= 2 ? (indeces[0] + 2) : 0, indeces[indeces.length - 1]);
+        let offset = indeces.length >= 2 ? (indeces[0] + 2) : 0;
+        for (let part of metaDataString.split('||')) {
+            let field = part.trim();
+            let problem = field.length ? header.readField(field) : null;
+            field.length && header.fields.push(field);
+            problem && header.diagnostics.push(SDDiagnostic_1.default.at(str, offset + part.indexOf(field), field, problem));
+            offset += part.length + 2;
+        }
+        return header;
+    }
+    metadata() {
+        return {
+            fields: this.fields.slice(),
+            bpm: this.bpm,
+            scale: this.scale,
+            taal: this.taal ? this.taal.name : null,
+            script: this.script,
+            carnatic: this.carnatic ? this.carnatic.melakarta : null,
+            thaat: this.thaat ? this.thaat.name : null,
+            raag: this.raag ? this.raag.name : null,
+            tuning: this.tuning.name,
+            arrangement: this.arrangement.slice()
+        };
+    }
+    /*
+     * Applies a field to the header, returning why it cannot be used when
+     * it is unknown or its value is invalid.
+     */
+    readField(field) {
+        let bpm = field.match(/^\d+$/) ? Number.parseInt(field) : NaN;
+        this.bpm = bpm > 0 ? bpm : this.bpm;
+        let key = field.match(/^([a-g])([0-9])?(#)?$/i);
+        this.scale = key ? this.calculateScale(key[1], key[2], key[3]) : this.scale;
+        let taal = SDTaal_1.default.parse(field);
+        this.taal = taal || this.taal;
+        let carnatic = SDCarnatic_1.default.parse(field);
+        this.carnatic = carnatic || this.carnatic;
+        let thaat = SDThaat_1.default.parse(field);
+        this.thaat = thaat || this.thaat;
+        let raag = SDRaag_1.default.parse(field);
+        this.raag = raag || this.raag;
+        let tuning = SDTuning_1.default.parse(field);
+        this.tuning = tuning || this.tuning;
+        let play = field.match(/^play\s*:(.*)$/i);
+        let script = field.match(/^script\s*:\s*(.*)$/i);
+        let isScript = script && SDScript_1.default.isKnown(script[1]);
+        this.script = isScript ? script[1].toLowerCase() : this.script;
+        this.arrangement = play ? play[1].split(',').map((name) => name.trim()).filter((name) => name.length) : this.arrangement;
+        if (bpm === 0) {
+            return `Tempo "${field}" must be above 0 bpm`;
+        }
+        if (/^carnatic\b/i.test(field) && !carnatic) {
+            return `Invalid melakarta "${field}", write a number from 1 to 72 like ||carnatic: 15||`;
+        }
+        if (/^tuning\s*:/i.test(field) && !tuning) {
+            return `Invalid tuning "${field}", name a system like ||tuning: just|| or write the cents of all 12 swaras`;
+        }
+        if (script && !isScript) {
+            return `Unknown script "${script[1]}"`;
+        }
+        let isKnown = bpm > 0 || key || taal || carnatic || thaat || raag || tuning || play || script;
+        return isKnown ? null : `Unknown header field "${field}"`;
+    }
+    calculateScale(alphabet, octave, sharp) {
+        return SDHeader.scaleMap[alphabet.toLowerCase()] + (Number(octave || 3) * 12) + (sharp ? 1 : 0);
+    }
+}
+SDHeader.scaleMap = {
+    'c': 24,
+    'd': 26,
+    'e': 28,
+    'f': 29,
+    'g': 31,
+    'a': 33,
+    'b': 35
+};
+exports.default = SDHeader;
@@ -0,0 +1,143 @@
+import SDTaal from './SDTaal';
+import SDScript from './SDScript';
+import SDCarnatic from './SDCarnatic';
+import SDThaat from './SDThaat';
+import SDRaag from './SDRaag';
+import SDTuning from './SDTuning';
+import SDDiagnostic from './SDDiagnostic';
+
+export interface SDMetadata { //the header as plain data
+    fields: string[]
+    bpm: number
+    scale: number //midi note of Sa
+    taal: string
+    script: string
+    carnatic: number //melakarta
+    thaat: string
+    raag: string
+    tuning: string
+    arrangement: string[]
+}
+
+/*
+ * Reads the `||bpm||scale||taal||` metadata header. Tempo and key follow
+ * surdownjs' SDPreProcessor; the header also remembers where the notation
+ * body starts. A `||play: sthayi, antara, sthayi||` field arranges the
+ * named sections for playback and `||script: bengali||` chooses the script
+ * the notation is shown in. `||carnatic||` switches to Carnatic
+ * swarasthana notation and a thaat or raag, `||bhairav||`, sets the
+ * variants of unmarked swaras. A raag from the catalogue is also checked.
+ * `||tuning: just||` chooses the tuning system, see SDTuning. A field
+ * that is none of these, or names one with a value that cannot be used,
+ * is reported in `diagnostics`.
+ */
+export default class SDHeader {
+
+    private static scaleMap: { [key: string]: number } = {
+        'c': 24,
+        'd': 26,
+        'e': 28,
+        'f': 29,
+        'g': 31,
+        'a': 33,
+        'b': 35
+    }
+
+    bpm: number = 60
+    scale: number = 60
+    taal: SDTaal = null
+    arrangement: string[] = [] //section names in the order they are played
+    script: string = 'devanagari'
+    carnatic: SDCarnatic = null
+    thaat: SDThaat = null
+    raag: SDRaag = null
+    tuning: SDTuning = SDTuning.equal()
+    fields: string[] = []
+    diagnostics: SDDiagnostic[] = []
+    start: number = 0
+    end: number = 0 //offset of the first notation character
+
+    static parse(str: string): SDHeader {
+        let header = new SDHeader();
+        let reg = /\|\|/g
+        let match;
+        let indeces = [];
+        while ((match = reg.exec(str)) != null) {
+            indeces.push(match.index);
+        }
+        if (!indeces.length) {
+            return header;
+        }
+        header.start = indeces.length >= 2 ? indeces[0] : 0;
+        header.end = indeces[indeces.length - 1] + 2;
+        let metaDataString = str.substring(indeces.length >= 2 ? (indeces[0] + 2) : 0, indeces[indeces.length - 1]);
+        let offset = indeces.length >= 2 ? (indeces[0] + 2) : 0;
+        for (let part of metaDataString.split('||')) {
+            let field = part.trim();
+            let problem = field.length ? header.readField(field) : null;
+            field.length && header.fields.push(field);
+            problem && header.diagnostics.push(SDDiagnostic.at(str, offset + part.indexOf(field), field, problem));
+            offset += part.length + 2;
+        }
+        return header;
+    }
+
+    metadata(): SDMetadata {
+        return {
+            fields: this.fields.slice(),
+            bpm: this.bpm,
+            scale: this.scale,
+            taal: this.taal ? this.taal.name : null,
+            script: this.script,
+            carnatic: this.carnatic ? this.carnatic.melakarta : null,
+            thaat: this.thaat ? this.thaat.name : null,
+            raag: this.raag ? this.raag.name : null,
+            tuning: this.tuning.name,
+            arrangement: this.arrangement.slice()
+        };
+    }
+
+    /*
+     * Applies a field to the header, returning why it cannot be used when
+     * it is unknown or its value is invalid.
+     */
+    private readField(field: string): string {
+        let bpm = field.match(/^\d+$/) ? Number.parseInt(field) : NaN;
+        this.bpm = bpm > 0 ? bpm : this.bpm;
+        let key = field.match(/^([a-g])([0-9])?(#)?$/i);
+        this.scale = key ? this.calculateScale(key[1], key[2], key[3]) : this.scale;
+        let taal = SDTaal.parse(field);
+        this.taal = taal || this.taal;
+        let carnatic = SDCarnatic.parse(field);
+        this.carnatic = carnatic || this.carnatic;
+        let thaat = SDThaat.parse(field);
+        this.thaat = thaat || this.thaat;
+        let raag = SDRaag.parse(field);
+        this.raag = raag || this.raag;
+        let tuning = SDTuning.parse(field);
+        this.tuning = tuning || this.tuning;
+        let play = field.match(/^play\s*:(.*)$/i);
+        let script = field.match(/^script\s*:\s*(.*)$/i);
+        let isScript = script && SDScript.isKnown(script[1]);
+        this.script = isScript ? script[1].toLowerCase() : this.script;
+        this.arrangement = play ? play[1].split(',').map((name) => name.trim()).filter((name) => name.length) : this.arrangement;
+        if (bpm === 0) {
+            return `Tempo "${field}" must be above 0 bpm`;
+        }
+        if (/^carnatic\b/i.test(field) && !carnatic) {
+            return `Invalid melakarta "${field}", write a number from 1 to 72 like ||carnatic: 15||`;
+        }
+        if (/^tuning\s*:/i.test(field) && !tuning) {
+            return `Invalid tuning "${field}", name a system like ||tuning: just|| or write the cents of all 12 swaras`;
+        }
+        if (script && !isScript) {
+            return `Unknown script "${script[1]}"`;
+        }
+        let isKnown = bpm > 0 || key || taal || carnatic || thaat || raag || tuning || play || script;
+        return isKnown ? null : `Unknown header field "${field}"`;
+    }
+
+    private calculateScale(alphabet: string, octave?: string, sharp?: string): number {
+        return SDHeader.scaleMap[alphabet.toLowerCase()] + (Number(octave || 3) * 12) + (sharp ? 1 : 0);
+    }
+}
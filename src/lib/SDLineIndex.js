@@ -0,0 +1,42 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * Offsets at which the lines of a source start, so the line of an offset is
+ * found by binary search instead of scanning the text before it.
+ */
+class SDLineIndex {
+    constructor(source) {
+        this.starts = [0];
+        this.source = source;
+        for (let i = source.indexOf('\n'); i >= 0; i = source.indexOf('\n', i + 1)) {
+            this.starts.push(i + 1);
+        }
+    }
+    /*
+     * Index of `source`, reused while the same source is asked for again.
+     */
+    static of(source) {
+        SDLineIndex.last = SDLineIndex.last && SDLineIndex.last.source === source ? SDLineIndex.last : new SDLineIndex(source);
+        return SDLineIndex.last;
+    }
+    /*
+     * 0-based line of an offset.
+     */
+    line(offset) {
+        let low = 0;
+        let high = this.starts.length - 1;
+        while (low < high) {
+            let mid = (low + high + 1) >> 1;
+            this.starts[mid] <= offset ? low = mid : high = mid - 1;
+        }
+        return low;
+    }
+    /*
+     * Offset at which the line holding `offset` starts.
+     */
+    lineStart(offset) {
+        return this.starts[this.line(offset)];
+    }
+}
+SDLineIndex.last = null;
+exports.default = SDLineIndex;
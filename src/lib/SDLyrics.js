@@ -0,0 +1,96 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDDiagnostic_1 = require("./SDDiagnostic");
+const SDLineIndex_1 = require("./SDLineIndex");
+/*
+ * Aligns a `" shyaam ba ja ve` lyrics line with the notation line written
+ * just before it: each attacked swar takes the next syllable, ties and
+ * meends hold it and a rest ends it. `_` in the lyrics carries the previous
+ * syllable over a swar.
+ */
+class SDLyrics {
+    constructor(source) {
+        this.diagnostics = [];
+        this.sung = {}; //notation lines that already have lyrics, and where those start
+        this.lines = { starts: [], notes: [] };
+        this.source = source;
+    }
+    /*
+     * Aligns every lyrics line, or with `from`, a checkpoint of SDRhythm,
+     * only those after it: the notation lines before it and the lyrics they
+     * have are taken from `previous`, the alignment of an earlier run. The
+     * syllables returned and the diagnostics are then those after `from`.
+     */
+    align(tokens, notes, from, previous) {
+        let boundary = from ? SDLineIndex_1.default.of(this.source).lineStart(from.start) : 0;
+        let kept = from ? previous.lines.starts.filter((start) => start < boundary).length : 0;
+        let after = this.notationLines(from ? notes.slice(from.notes) : notes);
+        this.lines = from ? { starts: previous.lines.starts.slice(0, kept).concat(after.starts), notes: previous.lines.notes.slice(0, kept).concat(after.notes) } : after;
+        from && Object.keys(previous.sung).forEach((lineStart) => previous.sung[lineStart] < from.start && (this.sung[lineStart] = previous.sung[lineStart]));
+        let syllables = [];
+        let index = kept - 1;
+        for (let token of from ? tokens.slice(from.token) : tokens) {
+            if (token.type !== 'lyrics') {
+                continue;
+            }
+            while (index + 1 < this.lines.starts.length && this.lines.starts[index + 1] < token.start) {
+                index++;
+            }
+            let line = index >= 0 ? this.lines.notes[index] : [];
+            this.alignLine(token, line).forEach((syllable) => syllables.push(syllable));
+        }
+        return syllables;
+    }
+    alignLine(lyrics, line) {
+        let words = this.words(lyrics);
+        let syllables = [];
+        let current = null;
+        let lineStart = line.length ? SDLineIndex_1.default.of(this.source).lineStart(line[0].start) : -1;
+        if (!line.length || this.sung[lineStart] !== undefined) {
+            this.report(lyrics, line.length ? 'The notation line above already has lyrics' : 'Lyrics line has no notation line before it', 'warning');
+            return syllables;
+        }
+        this.sung[lineStart] = lyrics.start;
+        for (let note of line) {
+            let isHeld = note.isTie || !!note.glidesFrom;
+            let word = !note.isRest && !isHeld ? words.shift() : null;
+            current = note.isRest ? null : current;
+            current && (isHeld || (word && word.value === '_')) && (current.duration += note.duration);
+            if (word && word.value !== '_') {
+                current = { text: word.value, start: word.start, end: word.end, note: note, duration: note.duration };
+                syllables.push(current);
+            }
+        }
+        words.length && this.report(words[0], `${words.length} more syllable(s) than swaras in the notation line`, 'warning');
+        return syllables;
+    }
+    words(lyrics) {
+        let words = [];
+        let reg = /[^\s|।]+/g;
+        let match;
+        while ((match = reg.exec(lyrics.value)) != null) {
+            let start = lyrics.end - lyrics.value.length + match.index;
+            words.push({ type: 'lyrics', value: match[0], start: start, end: start + match[0].length });
+        }
+        return words;
+    }
+    /*
+     * Notes of every notation line the notes are written on.
+     */
+    notationLines(notes) {
+        let lines = SDLineIndex_1.default.of(this.source);
+        let byLine = {};
+        let seen = {};
+        for (let note of notes) {
+            let lineStart = lines.lineStart(note.start);
+            !seen[note.start] && (byLine[lineStart] = byLine[lineStart] || []).push(note);
+            seen[note.start] = true;
+        }
+        let starts = Object.keys(byLine).map(Number).sort((a, b) => a - b);
+        return { starts: starts, notes: starts.map((start) => byLine[start]) };
+    }
+    report(token, message, severity) {
+        this.diagnostics.push(SDDiagnostic_1.default.at(this.source, token.start, this.source.substring(token.start, token.end), message, severity));
+    }
+}
+exports.default = SDLyrics;
@@ -0,0 +1,118 @@
+import { SDToken } from './SDTokenizer';
+import SDSourceNote from './SDSourceNote';
+import SDDiagnostic, { SDSeverity } from './SDDiagnostic';
+import SDLineIndex from './SDLineIndex';
+import { SDRhythmCheckpoint } from './SDRhythm';
+
+export interface SDSyllable {
+    text: string
+    start: number //offsets of the syllable in the lyrics line
+    end: number
+    note: SDSourceNote //swar the syllable is sung on
+    duration: number //beats, including the ties and meends it is held across
+}
+
+interface SDNotationLines { //each written note once even when a repeat plays it again
+    starts: number[] //offsets the lines start at, in source order
+    notes: SDSourceNote[][]
+}
+
+/*
+ * Aligns a `" shyaam ba ja ve` lyrics line with the notation line written
+ * just before it: each attacked swar takes the next syllable, ties and
+ * meends hold it and a rest ends it. `_` in the lyrics carries the previous
+ * syllable over a swar.
+ */
+export default class SDLyrics {
+
+    diagnostics: SDDiagnostic[] = []
+    private source: string
+    private sung: { [lineStart: number]: number } = {} //notation lines that already have lyrics, and where those start
+    private lines: SDNotationLines = { starts: [], notes: [] }
+
+    constructor(source: string) {
+        this.source = source;
+    }
+
+    /*
+     * Aligns every lyrics line, or with `from`, a checkpoint of SDRhythm,
+     * only those after it: the notation lines before it and the lyrics they
+     * have are taken from `previous`, the alignment of an earlier run. The
+     * syllables returned and the diagnostics are then those after `from`.
+     */
+    align(tokens: SDToken[], notes: SDSourceNote[], from?: SDRhythmCheckpoint, previous?: SDLyrics): SDSyllable[] {
+        let boundary = from ? SDLineIndex.of(this.source).lineStart(from.start) : 0;
+        let kept = from ? previous.lines.starts.filter((start) => start < boundary).length : 0;
+        let after = this.notationLines(from ? notes.slice(from.notes) : notes);
+        this.lines = from ? { starts: previous.lines.starts.slice(0, kept).concat(after.starts), notes: previous.lines.notes.slice(0, kept).concat(after.notes) } : after;
+        from && Object.keys(previous.sung).forEach((lineStart) => previous.sung[lineStart] < from.start && (this.sung[lineStart] = previous.sung[lineStart]));
+        let syllables: SDSyllable[] = [];
+        let index = kept - 1;
+        for (let token of from ? tokens.slice(from.token) : tokens) {
+            if (token.type !== 'lyrics') {
+                continue;
+            }
+            while (index + 1 < this.lines.starts.length && this.lines.starts[index + 1] < token.start) {
+                index++;
+            }
+            let line = index >= 0 ? this.lines.notes[index] : [];
+            this.alignLine(token, line).forEach((syllable) => syllables.push(syllable));
+        }
+        return syllables;
+    }
+
+    private alignLine(lyrics: SDToken, line: SDSourceNote[]): SDSyllable[] {
+        let words = this.words(lyrics);
+        let syllables: SDSyllable[] = [];
+        let current: SDSyllable = null;
+        let lineStart = line.length ? SDLineIndex.of(this.source).lineStart(line[0].start) : -1;
+        if (!line.length || this.sung[lineStart] !== undefined) {
+            this.report(lyrics, line.length ? 'The notation line above already has lyrics' : 'Lyrics line has no notation line before it', 'warning');
+            return syllables;
+        }
+        this.sung[lineStart] = lyrics.start;
+        for (let note of line) {
+            let isHeld = note.isTie || !!note.glidesFrom;
+            let word = !note.isRest && !isHeld ? words.shift() : null;
+            current = note.isRest ? null : current;
+            current && (isHeld || (word && word.value === '_')) && (current.duration += note.duration);
+            if (word && word.value !== '_') {
+                current = { text: word.value, start: word.start, end: word.end, note: note, duration: note.duration };
+                syllables.push(current);
+            }
+        }
+        words.length && this.report(words[0], `${words.length} more syllable(s) than swaras in the notation line`, 'warning');
+        return syllables;
+    }
+
+    private words(lyrics: SDToken): SDToken[] {
+        let words: SDToken[] = [];
+        let reg = /[^\s|।]+/g
+        let match;
+        while ((match = reg.exec(lyrics.value)) != null) {
+            let start = lyrics.end - lyrics.value.length + match.index;
+            words.push({ type: 'lyrics', value: match[0], start: start, end: start + match[0].length });
+        }
+        return words;
+    }
+
+    /*
+     * Notes of every notation line the notes are written on.
+     */
+    private notationLines(notes: SDSourceNote[]): SDNotationLines {
+        let lines = SDLineIndex.of(this.source);
+        let byLine: { [lineStart: number]: SDSourceNote[] } = {};
+        let seen: { [start: number]: boolean } = {};
+        for (let note of notes) {
+            let lineStart = lines.lineStart(note.start);
+            !seen[note.start] && (byLine[lineStart] = byLine[lineStart] || []).push(note);
+            seen[note.start] = true;
+        }
+        let starts = Object.keys(byLine).map(Number).sort((a, b) => a - b);
+        return { starts: starts, notes: starts.map((start) => byLine[start]) };
+    }
+
+    private report(token: SDToken, message: string, severity?: SDSeverity) {
+        this.diagnostics.push(SDDiagnostic.at(this.source, token.start, this.source.substring(token.start, token.end), message, severity));
+    }
+}
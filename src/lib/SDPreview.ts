@@ -0,0 +1,138 @@
+import SDDocument from './SDDocument';
+import { SDToken } from './SDTokenizer';
+import SDDevanagari from './SDDevanagari';
+import SDScript from './SDScript';
+import SDCarnatic from './SDCarnatic';
+
+export type SDPreviewCellKind = 'swar' | 'rest' | 'tie' | 'meend' | 'bar' | 'group' | 'tempo' | 'repeat';
+
+export interface SDPreviewCell {
+    kind: SDPreviewCellKind
+    text: string
+    kan?: string
+    lyric?: string //syllable sung on the swar
+    shruti?: string //cents or shruti number the swar is tuned to
+    marker?: string //X, 0 or the tali number when the beat starts a vibhag
+    start: number
+    cells?: SDPreviewCell[] //members of a beat division
+}
+
+export interface SDPreviewLine {
+    start: number //offset of the line's first token
+    cells: SDPreviewCell[]
+    heading?: string //name of the section a `#` heading line starts
+}
+
+/*
+ * Lays a document out line by line in handwritten-style Devanagari for the
+ * editor preview, with the lyrics under the swaras they are sung on and the
+ * taal's sam, khali and tali markers over the beats starting a vibhag. The
+ * swaras are written in the script chosen in the header, Carnatic
+ * swarasthanas with their numbers. Given the preview of the document
+ * parsed before, the lines its parse took over are taken over as well.
+ */
+export default class SDPreview {
+
+    static lines(doc: SDDocument, previous?: SDPreviewLine[]): SDPreviewLine[] {
+        let kept = previous && doc.unchanged ? previous.filter((line) => line.start < doc.unchanged).length : 0;
+        let reused = kept;
+        while (reused && !SDPreview.hasNotes(previous[reused - 1].cells)) {
+            reused--;
+        }
+        reused && reused--; //lyrics after the unchanged part may be sung on its last notation line
+        let from = reused ? previous[reused].start : 0;
+        let lines: SDPreviewLine[] = reused ? previous.slice(0, reused) : [];
+        let line: SDPreviewLine = null;
+        let lineEnd = -1;
+        let groups: SDPreviewCell[] = []; //open beat divisions, innermost last
+        let lyrics: { [start: number]: string } = {};
+        for (let i = doc.lyrics.length - 1; i >= 0 && doc.lyrics[i].start >= from; i--) {
+            lyrics[doc.lyrics[i].note.start] = doc.lyrics[i].text;
+        }
+        let markers = SDPreview.markers(doc);
+        previous && previous.slice(reused, kept).forEach((line) => SDPreview.keepMarkers(line.cells, markers));
+        for (let token of doc.tokens.slice(doc.tokenAt(from)).filter((t) => t.type !== 'lyrics')) {
+            if (token.start > lineEnd) {
+                lineEnd = doc.source.indexOf('\n', token.start);
+                lineEnd = lineEnd < 0 ? doc.source.length : lineEnd;
+                line = { start: token.start, cells: [] };
+                lines.push(line);
+                groups = [];
+            }
+            token.type === 'section' && (line.heading = token.value);
+            let cell = SDPreview.cell(token, doc.header.script);
+            cell && lyrics[token.start] && (cell.lyric = lyrics[token.start]);
+            cell && markers[token.start] && (cell.marker = markers[token.start]);
+            let cells = groups.length ? groups[groups.length - 1].cells : line.cells;
+            cell && cells.push(cell);
+            token.type === 'group-open' && groups.push(cell);
+            token.type === 'group-close' && groups.pop();
+            groups = token.type === 'bar' ? [] : groups;
+        }
+        return lines;
+    }
+
+    /*
+     * Markers of the declared taal by the offset of the swar, rest or tie
+     * starting a vibhag, where it is first played. Only the notes after the
+     * part of the document its parse took over are looked at.
+     */
+    private static markers(doc: SDDocument): { [start: number]: string } {
+        let markers: { [start: number]: string } = {};
+        let seen: { [start: number]: boolean } = {};
+        let taal = doc.header.taal;
+        let first = doc.notes.length;
+        while (first > 0 && doc.notes[first - 1].start >= doc.unchanged) {
+            first--;
+        }
+        for (let note of taal ? doc.notes.slice(first) : []) {
+            let marker = seen[note.start] ? null : taal.markerAt(doc.tempo.matra(note.beat));
+            marker && (markers[note.start] = marker);
+            seen[note.start] = true;
+        }
+        return markers;
+    }
+
+    private static keepMarkers(cells: SDPreviewCell[], markers: { [start: number]: string }) {
+        for (let cell of cells) {
+            cell.marker && (markers[cell.start] = cell.marker);
+            cell.cells && SDPreview.keepMarkers(cell.cells, markers);
+        }
+    }
+
+    private static hasNotes(cells: SDPreviewCell[]): boolean {
+        return cells.some((cell) => cell.kind === 'swar' || cell.kind === 'rest' || cell.kind === 'tie' || (cell.cells && SDPreview.hasNotes(cell.cells)));
+    }
+
+    private static cell(token: SDToken, script: string): SDPreviewCell {
+        let swar = (value: string) => SDCarnatic.isSwarasthana(value.replace(/^[*\/]+/, '')) ? SDCarnatic.render(value)
+            : SDScript.write(SDDevanagari.swar(value), script);
+        switch (token.type) {
+            case 'note':
+                return {
+                    kind: 'swar',
+                    text: swar(token.value),
+                    kan: (token.kan || []).map((kan) => swar(kan.value)).join(''),
+                    shruti: token.shruti,
+                    start: token.start
+                };
+            case 'rest':
+                return { kind: 'rest', text: '-', start: token.start };
+            case 'tie':
+                return { kind: 'tie', text: 'ऽ', start: token.start };
+            case 'meend':
+                return { kind: 'meend', text: '⌒', start: token.start };
+            case 'bar':
+                return { kind: 'bar', text: '|', start: token.start };
+            case 'tempo':
+                return { kind: 'tempo', text: token.value.charAt(0) === 'x' ? `×${token.value.substring(1)}` : `♩=${token.value}`, start: token.start };
+            case 'repeat-open':
+                return { kind: 'repeat', text: '𝄆', start: token.start };
+            case 'repeat-close':
+                return { kind: 'repeat', text: token.value === '2' ? '𝄇' : `𝄇×${token.value}`, start: token.start };
+            case 'group-open':
+                return { kind: 'group', text: '', start: token.start, cells: [] };
+        }
+        return null;
+    }
+}
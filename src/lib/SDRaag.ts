@@ -0,0 +1,110 @@
+import SDTokenizer from './SDTokenizer';
+import SDSourceNote from './SDSourceNote';
+import SDDiagnostic from './SDDiagnostic';
+import SDDevanagari from './SDDevanagari';
+
+interface SDRaagDefinition { //swaras written in Roman surdown
+    aroh: string
+    avaroh: string
+    vadi: string
+    samvadi: string
+    pakad: string
+}
+
+/*
+ * A raag declared in the header (`||yaman||` or `||raag yaman||`), used to
+ * check that a composition keeps to its swaras: a varjit swar, or a swar
+ * reached going up that is not part of the aroh (going down, the avaroh),
+ * is reported.
+ */
+export default class SDRaag {
+
+    private static catalogue: { [name: string]: SDRaagDefinition } = {
+        'yaman': { aroh: '/N R G M P D N *S', avaroh: '*S N D P M G R S', vadi: 'G', samvadi: 'N', pakad: '/N R G R , P R , /N R S' },
+        'bhupali': { aroh: 'S R G P D *S', avaroh: '*S D P G R S', vadi: 'G', samvadi: 'D', pakad: 'G R S /D , S R G , P G , D P G R S' },
+        'hamsadhwani': { aroh: 'S R G P N *S', avaroh: '*S N P G R S', vadi: 'S', samvadi: 'P', pakad: '/N R G R S , P G R S' },
+        'bilawal': { aroh: 'S R G m P D N *S', avaroh: '*S N D P m G R S', vadi: 'D', samvadi: 'G', pakad: 'G R , G P , D N *S' },
+        'khamaj': { aroh: 'S G m P D N *S', avaroh: '*S n D P m G R S', vadi: 'G', samvadi: 'N', pakad: 'n D m P D m G' },
+        'desh': { aroh: 'S R m P N *S', avaroh: '*S n D P m G R G /N S', vadi: 'R', samvadi: 'P', pakad: 'R m P N *S , n D P , m G R' },
+        'kafi': { aroh: 'S R g m P D n *S', avaroh: '*S n D P m g R S', vadi: 'P', samvadi: 'S', pakad: 'S S R R g g m m P' },
+        'bageshri': { aroh: 'S g m D n *S', avaroh: '*S n D m P D m g R S', vadi: 'm', samvadi: 'S', pakad: 'm D n D m g R S' },
+        'bhimpalasi': { aroh: '/n S g m P n *S', avaroh: '*S n D P m g R S', vadi: 'm', samvadi: 'S', pakad: '/n S m , m g P m g , m g R S' },
+        'asavari': { aroh: 'S R m P d *S', avaroh: '*S n d P m g R S', vadi: 'd', samvadi: 'g', pakad: 'R m P d , m P g R S' },
+        'bhairavi': { aroh: 'S r g m P d n *S', avaroh: '*S n d P m g r S', vadi: 'm', samvadi: 'S', pakad: 'm g r g , S r S' },
+        'malkauns': { aroh: 'S g m d n *S', avaroh: '*S n d m g S', vadi: 'm', samvadi: 'S', pakad: 'm g m d n d m , g m g S' },
+        'bhairav': { aroh: 'S r G m P d N *S', avaroh: '*S N d P m G r S', vadi: 'd', samvadi: 'r', pakad: 'G m d - P , G m r - S' },
+        'todi': { aroh: 'S r g M P d N *S', avaroh: '*S N d P M g r S', vadi: 'd', samvadi: 'g', pakad: '/d /N S r g r S' },
+        'marwa': { aroh: 'S r G M D N *S', avaroh: '*S N D M G r S', vadi: 'r', samvadi: 'D', pakad: 'D M G r , G M G r S' },
+        'purvi': { aroh: 'S r G M P d N *S', avaroh: '*S N d P M G m G r S', vadi: 'G', samvadi: 'N', pakad: '/N S r G , M G , r G r S' }
+    }
+
+    name: string
+    aroh: string[] //Devanagari note values
+    avaroh: string[]
+    varjit: string[] //letters the raag leaves out altogether
+    vadi: string
+    samvadi: string
+    pakad: string //Roman surdown, can be played as a composition
+
+    constructor(name: string, definition: SDRaagDefinition) {
+        let swaras = (str: string) => new SDTokenizer(str).tokenize().filter((token) => token.type === 'note').map((token) => token.value);
+        let letters = swaras(definition.aroh + ' ' + definition.avaroh).map((value) => value.charAt(value.length - 1));
+        this.name = name;
+        this.aroh = swaras(definition.aroh);
+        this.avaroh = swaras(definition.avaroh);
+        this.varjit = ['स', 'र', 'ग', 'म', 'प', 'ध', 'न'].filter((letter) => letters.indexOf(letter) < 0);
+        this.vadi = swaras(definition.vadi)[0];
+        this.samvadi = swaras(definition.samvadi)[0];
+        this.pakad = definition.pakad;
+    }
+
+    static parse(field: string): SDRaag {
+        let name = field.toLowerCase().replace(/^(raag|rag)\s+/, '').replace(/\s+/g, '');
+        let definition = SDRaag.catalogue[name];
+        return definition ? new SDRaag(name, definition) : null;
+    }
+
+    /*
+     * Warns of the swaras the raag does not take, from note `from` on.
+     */
+    check(notes: SDSourceNote[], source: string, from: number = 0): SDDiagnostic[] {
+        let diagnostics: SDDiagnostic[] = [];
+        let aroh = SDRaag.pitchClasses(this.aroh);
+        let avaroh = SDRaag.pitchClasses(this.avaroh);
+        let reported: { [start: number]: boolean } = {}; //a repeat plays the same written swar again
+        let previous: SDSourceNote = null; //last swar played
+        for (let i = from - 1; i >= 0 && !previous; i--) {
+            previous = notes[i].isRest || notes[i].isTie ? null : notes[i];
+        }
+        let report = (note: SDSourceNote, problem: string) => {
+            let swar = SDDevanagari.swar(note.value.replace(/[*\/]/g, ''));
+            !reported[note.start] && diagnostics.push(SDDiagnostic.at(source, note.start, source.substring(note.start, note.end), `${swar} ${problem} ${this.name}`, 'warning'));
+            reported[note.start] = true;
+        };
+        for (let note of notes.slice(from)) {
+            if (note.isRest || note.isTie) {
+                continue;
+            }
+            let pitch = SDRaag.pitchClass(note);
+            let isAscending = previous && note.midiOffset() > previous.midiOffset();
+            let isDescending = previous && note.midiOffset() < previous.midiOffset();
+            if (aroh.indexOf(pitch) < 0 && avaroh.indexOf(pitch) < 0) {
+                report(note, 'is varjit in raag');
+            } else if (isAscending && aroh.indexOf(pitch) < 0) {
+                report(note, 'is not taken in the aroh of raag');
+            } else if (isDescending && avaroh.indexOf(pitch) < 0) {
+                report(note, 'is not taken in the avaroh of raag');
+            }
+            previous = note;
+        }
+        return diagnostics;
+    }
+
+    private static pitchClasses(values: string[]): number[] {
+        return values.map((value) => SDRaag.pitchClass(new SDSourceNote(value, 0, 0)));
+    }
+
+    private static pitchClass(note: SDSourceNote): number {
+        return (note.degree() % 12 + 12) % 12;
+    }
+}
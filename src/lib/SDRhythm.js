@@ -0,0 +1,216 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDTokenizer_1 = require("./SDTokenizer");
+const SDSourceNote_1 = require("./SDSourceNote");
+const SDDiagnostic_1 = require("./SDDiagnostic");
+const SDLineIndex_1 = require("./SDLineIndex");
+/*
+ * Places tokens on a beat grid: a lone swar, rest or tie takes one beat and
+ * the members of a `<>` group share one beat equally, whatever their number.
+ * A group nested inside another (`<S <RG> M>`) is one member of it and
+ * divides that member's share again. Tempo directives are recorded in the
+ * SDTempo at the beat they appear on. Ties and meends do not carry over a
+ * section heading, each section can be played on its own. Repeats are
+ * written out in full on the grid.
+ */
+class SDRhythm {
+    constructor(source, tempo) {
+        this.diagnostics = [];
+        this.checkpoints = [];
+        this.beat = 0;
+        this.groups = []; //open groups, innermost last
+        this.last = null;
+        this.meend = null;
+        this.isRepeating = false;
+        this.depth = 0; //repeats open
+        this.isUnclosed = false; //a `[:` was never closed, so what follows depends on what comes after
+        this.repeated = 0; //tokens placed again by the passes of repeats after their first
+        this.source = source;
+        this.tempo = tempo;
+    }
+    /*
+     * Places every token, or with `from` a checkpoint of an earlier run over
+     * the same tokens up to it, only the tokens after it: the notes and
+     * diagnostics before it are taken from `previous`.
+     */
+    assign(tokens, from, previous, notes) {
+        let placed = from ? notes.slice(0, from.notes) : [];
+        if (from) {
+            this.beat = from.beat;
+            this.last = from.last;
+            this.repeated = from.repeated;
+            this.diagnostics = previous.diagnostics.slice(0, from.diagnostics);
+            this.checkpoints = previous.checkpoints.slice(0, previous.checkpoints.indexOf(from));
+        }
+        this.run(tokens, from ? from.token : 0, tokens.length, placed);
+        this.meend && this.report(this.meend, 'Meend "~" must be followed by a swar');
+        this.closeOpenGroups('Beat division "<" is never closed');
+        return placed;
+    }
+    run(tokens, from, to, notes) {
+        let lines = SDLineIndex_1.default.of(this.source);
+        for (let i = from; i < to; i++) {
+            let isCheckpoint = !this.depth && !this.isUnclosed && !this.groups.length && !this.meend && (!i || lines.line(tokens[i - 1].start) !== lines.line(tokens[i].start));
+            isCheckpoint && this.checkpoints.push({
+                token: i,
+                start: tokens[i].start,
+                beat: this.beat,
+                last: this.last,
+                notes: notes.length,
+                diagnostics: this.diagnostics.length,
+                tempo: this.tempo.changeCount(),
+                repeated: this.repeated
+            });
+            if (tokens[i].type === 'repeat-open') {
+                i = this.repeat(tokens, i, to, notes);
+                continue;
+            }
+            let note = this.process(tokens[i]);
+            note && notes.push(note);
+        }
+    }
+    /*
+     * Places the tokens between `[:` and its `:]` as many times as the count
+     * says and returns the index of the `:]`. Every pass gets notes of its
+     * own, all pointing back to the one written swar; problems are reported
+     * on the first pass only. Passes stop early once repeats have placed
+     * `maxRepeated` tokens again.
+     */
+    repeat(tokens, open, to, notes) {
+        let close = SDRhythm.closingRepeat(tokens, open, to);
+        if (close < 0) {
+            this.report(tokens[open], 'Repeat "[:" is never closed');
+            this.isUnclosed = true;
+            return open;
+        }
+        let isRepeating = this.isRepeating;
+        let count = this.groups.length ? 1 : Number(tokens[close].value);
+        this.groups.length && this.report(tokens[open], 'Repeat cannot start inside a beat division');
+        this.depth++;
+        for (let pass = 0; pass < count; pass++) {
+            if (pass && this.repeated >= SDRhythm.maxRepeated) {
+                this.isRepeating = isRepeating;
+                this.report(tokens[close], `Repeats are too long to write out, this one is played ${pass > 1 ? pass + ' times' : 'once'} instead of ${count}`, 'warning');
+                break;
+            }
+            this.repeated += pass ? close - open : 0;
+            this.run(tokens, open + 1, close, notes);
+            count > 1 && this.closeOpenGroups('Beat division "<" is not closed before the repeat ends');
+            this.isRepeating = true;
+        }
+        this.isRepeating = isRepeating;
+        this.depth--;
+        return close;
+    }
+    static closingRepeat(tokens, open, to) {
+        let depth = 0;
+        for (let i = open; i < to; i++) {
+            depth += tokens[i].type === 'repeat-open' ? 1 : (tokens[i].type === 'repeat-close' ? -1 : 0);
+            if (!depth) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    process(token) {
+        switch (token.type) {
+            case 'note':
+                return this.place(this.glide(this.note(token), token));
+            case 'tie':
+                !this.last && this.report(token, 'Tie "-" has no previous swar to extend');
+                this.meend && this.report(this.meend, 'Meend "~" must be followed by a swar');
+                this.meend = null;
+                return this.last ? this.place(this.last.tie(token.start, token.end)) : null;
+            case 'rest':
+                this.meend && this.report(this.meend, 'Meend "~" must be followed by a swar');
+                this.meend = null;
+                return this.place(this.rest(token));
+            case 'meend':
+                this.meend = this.last && !this.last.isRest ? token : null;
+                !this.meend && this.report(token, 'Meend "~" has no previous swar to slide from');
+                return null;
+            case 'group-open':
+                this.groups.push({ token: token, members: [] });
+                return null;
+            case 'group-close':
+                !this.groups.length && this.report(token, 'Unexpected ">", no beat division is open');
+                this.groups.length && this.closeGroup();
+                return null;
+            case 'bar':
+                this.closeOpenGroups('Beat division "<" is not closed before the bar');
+                return null;
+            case 'tempo':
+                this.groups.length && this.report(token, 'Tempo cannot change inside a beat division');
+                this.groups.length || this.changeTempo(token);
+                return null;
+            case 'repeat-close':
+                this.report(token, 'Unexpected ":]", no repeat is open');
+                return null;
+            case 'section':
+                this.closeOpenGroups('Beat division "<" is not closed before the section');
+                this.meend && this.report(this.meend, 'Meend "~" must be followed by a swar');
+                this.meend = null;
+                this.last = null;
+                return null;
+        }
+        return null;
+    }
+    note(token) {
+        let note = new SDSourceNote_1.default(token.value, token.start, token.end);
+        note.kan = (token.kan || []).map((kan) => this.note(kan));
+        let isCents = token.shruti && /^[+-]/.test(token.shruti);
+        note.cents = isCents ? Number(token.shruti) : 0;
+        note.shruti = token.shruti && !isCents ? Number(token.shruti) : 0;
+        return note;
+    }
+    rest(token) {
+        let rest = new SDSourceNote_1.default(token.value, token.start, token.end);
+        rest.isRest = true;
+        return rest;
+    }
+    glide(note, token) {
+        note.glidesFrom = this.meend ? this.last : null;
+        note.glidesFrom && note.kan.length && this.report(token.kan[0], 'Kan cannot ornament a meend target, the swar is not played anew');
+        this.meend = null;
+        return note;
+    }
+    place(note) {
+        let group = this.groups[this.groups.length - 1];
+        this.last = note.isTie ? this.last : note;
+        group ? group.members.push(note) : this.layout(note, this.beat, 1);
+        this.beat += group ? 0 : 1;
+        return note;
+    }
+    changeTempo(token) {
+        let value = SDTokenizer_1.default.tempoValue(token.value);
+        token.value.charAt(0) === 'x' ? this.tempo.setMultiplier(this.beat, value) : this.tempo.setBpm(this.beat, value);
+    }
+    closeGroup() {
+        let group = this.groups.pop();
+        let parent = this.groups[this.groups.length - 1];
+        let isEmpty = !group.members.length;
+        isEmpty && this.report(group.token, 'Empty beat division "<>"', 'warning');
+        isEmpty || (parent ? parent.members.push(group) : this.layout(group, this.beat, 1));
+        this.beat += (parent || isEmpty) ? 0 : 1;
+    }
+    closeOpenGroups(message) {
+        while (this.groups.length) {
+            this.report(this.groups[this.groups.length - 1].token, message);
+            this.closeGroup();
+        }
+    }
+    layout(member, beat, span) {
+        if (member instanceof SDSourceNote_1.default) {
+            member.beat = beat;
+            member.duration = span;
+            return;
+        }
+        let share = span / member.members.length;
+        member.members.forEach((m, i) => this.layout(m, beat + i * share, share));
+    }
+    report(token, message, severity) {
+        !this.isRepeating && this.diagnostics.push(SDDiagnostic_1.default.at(this.source, token.start, this.source.substring(token.start, token.end), message, severity));
+    }
+}
+SDRhythm.maxRepeated = 100000; //tokens repeats may place again, so a large count cannot exhaust memory
+exports.default = SDRhythm;
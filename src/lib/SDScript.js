@@ -0,0 +1,56 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * Sargam written in other Indian scripts. Each table maps the Devanagari
+ * letters, matras and marks used in surdown to a single character of the
+ * script; further characters read the same way, e.g. Tamil ச for स, are
+ * listed after it. Converting one character for another keeps every
+ * source offset as it is.
+ */
+class SDScript {
+    /*
+     * Adds a script, or replaces the table of a known one.
+     */
+    static register(name, letters) {
+        SDScript.catalogue[name.toLowerCase()] = letters;
+        SDScript.readers = null;
+    }
+    static isKnown(name) {
+        return !!SDScript.catalogue[name.toLowerCase()];
+    }
+    /*
+     * The Devanagari character a character of any known script stands for.
+     */
+    static devanagari(ch) {
+        return SDScript.reader()[ch] || ch;
+    }
+    /*
+     * Writes Devanagari sargam, like the preview's सां or रे॒, in the named
+     * script. Characters the script has no letter for stay as they are.
+     */
+    static write(devanagari, name) {
+        let letters = SDScript.catalogue[name.toLowerCase()] || {};
+        return devanagari.split('').map((ch) => letters[ch] ? letters[ch].charAt(0) : ch).join('');
+    }
+    static reader() {
+        if (!SDScript.readers) {
+            SDScript.readers = {};
+            for (let name of Object.keys(SDScript.catalogue)) {
+                let letters = SDScript.catalogue[name];
+                Object.keys(letters).forEach((devanagari) => letters[devanagari].split('').forEach((ch) => SDScript.readers[ch] = devanagari));
+            }
+        }
+        return SDScript.readers;
+    }
+}
+SDScript.catalogue = {
+    'devanagari': {},
+    'bengali': { 'स': 'স', 'र': 'র', 'ग': 'গ', 'म': 'ম', 'प': 'প', 'ध': 'ধ', 'न': 'ন', 'ा': 'া', 'ि': 'ি', 'ी': 'ী', 'े': 'ে', '़': '়', 'ं': 'ং' },
+    'gurmukhi': { 'स': 'ਸ', 'र': 'ਰ', 'ग': 'ਗ', 'म': 'ਮ', 'प': 'ਪ', 'ध': 'ਧ', 'न': 'ਨ', 'ा': 'ਾ', 'ि': 'ਿ', 'ी': 'ੀ', 'े': 'ੇ', '़': '਼', 'ं': 'ਂੰ' },
+    'gujarati': { 'स': 'સ', 'र': 'ર', 'ग': 'ગ', 'म': 'મ', 'प': 'પ', 'ध': 'ધ', 'न': 'ન', 'ा': 'ા', 'ि': 'િ', 'ी': 'ી', 'े': 'ે', '़': '઼', 'ं': 'ં' },
+    'tamil': { 'स': 'ஸச', 'र': 'ர', 'ग': 'க', 'म': 'ம', 'प': 'ப', 'ध': 'த', 'न': 'ந', 'ा': 'ா', 'ि': 'ி', 'ी': 'ீ', 'े': 'ே', '़': '\u0323', 'ं': 'ஂ' },
+    'kannada': { 'स': 'ಸ', 'र': 'ರ', 'ग': 'ಗ', 'म': 'ಮ', 'प': 'ಪ', 'ध': 'ಧ', 'न': 'ನ', 'ा': 'ಾ', 'ि': 'ಿ', 'ी': 'ೀ', 'े': 'ೇ', '़': '಼', 'ं': 'ಂ' },
+    'telugu': { 'स': 'స', 'र': 'ర', 'ग': 'గ', 'म': 'మ', 'प': 'ప', 'ध': 'ధ', 'न': 'న', 'ा': 'ా', 'ि': 'ి', 'ी': 'ీ', 'े': 'ే', '़': '఼', 'ं': 'ం' }
+};
+SDScript.readers = null; //script character to Devanagari
+exports.default = SDScript;
@@ -0,0 +1,50 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * The 22 shrutis of the octave, numbered from Sa, in cents above Sa. A swar
+ * annotated `@6` is played at shruti 6 whatever the tuning, see SDTuning.
+ */
+class SDShruti {
+    static isShruti(number) {
+        return Math.floor(number) === number && number >= 1 && number <= SDShruti.table.length;
+    }
+    /*
+     * Cents above Sa of shruti `number`.
+     */
+    static cents(number) {
+        return SDShruti.table[number - 1];
+    }
+    /*
+     * Cents above Sa of the usual shruti of each of the 12 swaras, from Sa
+     * to shuddha ni.
+     */
+    static usualCents() {
+        return SDShruti.usual.map((number) => SDShruti.cents(number));
+    }
+}
+SDShruti.table = [
+    0,
+    90,
+    112,
+    182,
+    204,
+    294,
+    316,
+    386,
+    408,
+    498,
+    520,
+    590,
+    612,
+    702,
+    792,
+    814,
+    884,
+    906,
+    996,
+    1018,
+    1088,
+    1110 //22 243/128
+];
+SDShruti.usual = [1, 3, 5, 7, 8, 10, 12, 14, 16, 17, 19, 21]; //shruti of each of the 12 swaras
+exports.default = SDShruti;
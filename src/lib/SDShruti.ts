@@ -0,0 +1,51 @@
+/*
+ * The 22 shrutis of the octave, numbered from Sa, in cents above Sa. A swar
+ * annotated `@6` is played at shruti 6 whatever the tuning, see SDTuning.
+ */
+export default class SDShruti {
+
+    private static table = [
+        0, //1 Sa 1/1
+        90, //2 ati komal re 256/243
+        112, //3 komal re 16/15
+        182, //4 10/9
+        204, //5 shuddha re 9/8
+        294, //6 ati komal ga 32/27
+        316, //7 komal ga 6/5
+        386, //8 shuddha ga 5/4
+        408, //9 81/64
+        498, //10 shuddha ma 4/3
+        520, //11 27/20
+        590, //12 tivra ma 45/32
+        612, //13 729/512
+        702, //14 pa 3/2
+        792, //15 128/81
+        814, //16 komal dha 8/5
+        884, //17 shuddha dha 5/3
+        906, //18 27/16
+        996, //19 komal ni 16/9
+        1018, //20 9/5
+        1088, //21 shuddha ni 15/8
+        1110 //22 243/128
+    ]
+    private static usual = [1, 3, 5, 7, 8, 10, 12, 14, 16, 17, 19, 21] //shruti of each of the 12 swaras
+
+    static isShruti(number: number): boolean {
+        return Math.floor(number) === number && number >= 1 && number <= SDShruti.table.length;
+    }
+
+    /*
+     * Cents above Sa of shruti `number`.
+     */
+    static cents(number: number): number {
+        return SDShruti.table[number - 1];
+    }
+
+    /*
+     * Cents above Sa of the usual shruti of each of the 12 swaras, from Sa
+     * to shuddha ni.
+     */
+    static usualCents(): number[] {
+        return SDShruti.usual.map((number) => SDShruti.cents(number));
+    }
+}
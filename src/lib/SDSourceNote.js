@@ -0,0 +1,69 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDCarnatic_1 = require("./SDCarnatic");
+/*
+ * A swar, rest or the tie extending one, together with the span of source
+ * text it was read from. Timing is kept in beats, independent of tempo.
+ * The value is a Devanagari swar or a Carnatic swarasthana like 'R2', both
+ * after their octave annotations.
+ */
+class SDSourceNote {
+    constructor(value, start, end) {
+        this.beat = 0;
+        this.duration = 1;
+        this.isTie = false;
+        this.isRest = false;
+        this.cents = 0; //added to the pitch of the tuning, `G@-20`
+        this.shruti = 0; //played at this shruti instead, `G@6`
+        this.glidesFrom = null; //set on the swar a meend "~" slides into
+        this.kan = []; //grace notes sounded at the start of this swar's beat
+        this.value = value;
+        this.start = start;
+        this.end = end;
+        this._degree = this.calculateDegree();
+        this._octave = this.calculateOctave();
+    }
+    tie(start, end) {
+        let note = new SDSourceNote(this.value, start, end);
+        note.isTie = true;
+        note.isRest = this.isRest;
+        note.cents = this.cents;
+        note.shruti = this.shruti;
+        return note;
+    }
+    degree() {
+        return this._degree;
+    }
+    octaveOffset() {
+        return this._octave;
+    }
+    midiOffset() {
+        return this._degree + (12 * this._octave);
+    }
+    countChar(char) {
+        return this.value.split(char).length - 1;
+    }
+    calculateOctave() {
+        return this.countChar('*') - this.countChar('/');
+    }
+    calculateDegree() {
+        let swarasthana = SDCarnatic_1.default.semitones(this.value.replace(/^[*\/]+/, ''));
+        if (swarasthana !== null) {
+            return swarasthana;
+        }
+        let position = SDSourceNote.scalePositions[this.value.charAt(this.value.length - 1)] || 0;
+        position += this.value.indexOf('^') >= 0 ? 1 : 0;
+        position -= this.value.indexOf('_') >= 0 ? 1 : 0;
+        return position;
+    }
+}
+SDSourceNote.scalePositions = {
+    'स': 0,
+    'र': 2,
+    'ग': 4,
+    'म': 5,
+    'प': 7,
+    'ध': 9,
+    'न': 11
+};
+exports.default = SDSourceNote;
@@ -0,0 +1,82 @@
+import SDCarnatic from './SDCarnatic';
+
+/*
+ * A swar, rest or the tie extending one, together with the span of source
+ * text it was read from. Timing is kept in beats, independent of tempo.
+ * The value is a Devanagari swar or a Carnatic swarasthana like 'R2', both
+ * after their octave annotations.
+ */
+export default class SDSourceNote {
+
+    private static scalePositions: { [key: string]: number } = {
+        'स': 0,
+        'र': 2,
+        'ग': 4,
+        'म': 5,
+        'प': 7,
+        'ध': 9,
+        'न': 11
+    }
+
+    value: string
+    start: number
+    end: number
+    beat: number = 0
+    duration: number = 1
+    isTie: boolean = false
+    isRest: boolean = false
+    cents: number = 0 //added to the pitch of the tuning, `G@-20`
+    shruti: number = 0 //played at this shruti instead, `G@6`
+    glidesFrom: SDSourceNote = null //set on the swar a meend "~" slides into
+    kan: SDSourceNote[] = [] //grace notes sounded at the start of this swar's beat
+    private _degree: number
+    private _octave: number
+
+    constructor(value: string, start: number, end: number) {
+        this.value = value;
+        this.start = start;
+        this.end = end;
+        this._degree = this.calculateDegree();
+        this._octave = this.calculateOctave();
+    }
+
+    tie(start: number, end: number): SDSourceNote {
+        let note = new SDSourceNote(this.value, start, end);
+        note.isTie = true;
+        note.isRest = this.isRest;
+        note.cents = this.cents;
+        note.shruti = this.shruti;
+        return note;
+    }
+
+    degree(): number {
+        return this._degree;
+    }
+
+    octaveOffset(): number {
+        return this._octave;
+    }
+
+    midiOffset(): number {
+        return this._degree + (12 * this._octave);
+    }
+
+    private countChar(char: string): number {
+        return this.value.split(char).length - 1;
+    }
+
+    private calculateOctave(): number {
+        return this.countChar('*') - this.countChar('/');
+    }
+
+    private calculateDegree(): number {
+        let swarasthana = SDCarnatic.semitones(this.value.replace(/^[*\/]+/, ''));
+        if (swarasthana !== null) {
+            return swarasthana;
+        }
+        let position = SDSourceNote.scalePositions[this.value.charAt(this.value.length - 1)] || 0;
+        position += this.value.indexOf('^') >= 0 ? 1 : 0;
+        position -= this.value.indexOf('_') >= 0 ? 1 : 0;
+        return position;
+    }
+}
@@ -0,0 +1,157 @@
+import * as EventEmitter from 'eventemitter3';
+import SDDocument, { SDSection } from './SDDocument';
+import SDSourceNote from './SDSourceNote';
+
+/*
+ * Plays a parsed SDDocument on a Tone.js instrument.
+ *
+ * Events:
+ *  - 'note' (note: SDSourceNote) when a swar, rest or tie starts,
+ *    use note.start/note.end to follow it in the source text
+ *  - 'end' once the last note has finished
+ */
+export default class SDSourcePlayer extends EventEmitter {
+
+    private static kanSeconds = 0.06 //longest a single kan swar is held
+
+    private tonejs: any
+    private toneInstrument: any
+
+    constructor(tonejs: any, toneInstrument: any) {
+        super();
+        this.tonejs = tonejs;
+        this.toneInstrument = toneInstrument;
+    }
+
+    play(doc: SDDocument, startPos?: number, endPos?: number) {
+        this.playParts(doc, [doc.notesBetween(startPos, endPos)]);
+    }
+
+    /*
+     * Plays the given sections one after another, e.g. a single section or
+     * the document's arrangement.
+     */
+    playSections(doc: SDDocument, sections: SDSection[]) {
+        this.playParts(doc, sections.map((section) => doc.notesBetween(section.start, section.end)));
+    }
+
+    stop() {
+        const Tone = this.tonejs;
+        Tone.Transport.stop();
+        Tone.Transport.cancel(0);
+    }
+
+    private playParts(doc: SDDocument, parts: SDSourceNote[][]) {
+        const Tone = this.tonejs;
+        let offset = 0;
+        this.stop();
+        for (let notes of parts) {
+            offset += this.schedule(doc, notes, offset);
+        }
+        Tone.Transport.schedule((time) => {
+            Tone.Draw.schedule(() => this.emit('end'), time);
+        }, offset);
+        Tone.Transport.start("+0.2");
+    }
+
+    /*
+     * Schedules `notes` to start `offset` seconds into the transport and
+     * returns how many seconds they last.
+     */
+    private schedule(doc: SDDocument, notes: SDSourceNote[], offset: number): number {
+        const Tone = this.tonejs;
+        let startBeat = notes.length ? notes[0].beat : 0;
+        let endBeat = startBeat;
+        let seconds = (beat: number) => doc.tempo.seconds(beat) - doc.tempo.seconds(startBeat);
+        let tuning = doc.header.tuning;
+
+        notes.forEach((note, i) => {
+            let at = offset + seconds(note.beat);
+            let semitones = tuning.semitones(note);
+            let sample = Math.round(semitones); //nearest equal-tempered note, detuned by the rest
+            let midi = doc.header.scale + sample;
+            let velocity = this.velocity(doc, note);
+            let isAttack = !note.isRest && (!i || !(note.isTie || note.glidesFrom));
+            let phrase = isAttack ? this.phrase(notes, i, seconds, (n) => tuning.semitones(n) - sample) : null; //held notes sound as part of their attack's phrase
+            let kanSeconds = isAttack && note.kan.length ? Math.min(SDSourcePlayer.kanSeconds, phrase.duration / 4 / note.kan.length) : 0;
+            let graceSeconds = kanSeconds * note.kan.length;
+            Tone.Transport.schedule((time) => {
+                isAttack && note.kan.forEach((kan, k) => {
+                    let kanSemitones = tuning.semitones(kan);
+                    let kanMidi = doc.header.scale + Math.round(kanSemitones);
+                    this.toneInstrument.triggerAttackRelease(new Tone.Frequency(kanMidi, "midi"), kanSeconds, time + k * kanSeconds, velocity);
+                    kanSemitones !== Math.round(kanSemitones) && this.bend(kanMidi, (kanSemitones - Math.round(kanSemitones)) * 100, [], time + k * kanSeconds);
+                });
+                isAttack && this.toneInstrument.triggerAttackRelease(new Tone.Frequency(midi, "midi"), phrase.duration - graceSeconds, time + graceSeconds, velocity);
+                isAttack && (semitones !== sample || phrase.glides.length) && this.bend(midi, (semitones - sample) * 100, phrase.glides, time);
+                Tone.Draw.schedule(() => this.emit('note', note), time + graceSeconds);
+            }, at);
+            endBeat = Math.max(endBeat, note.beat + note.duration);
+        });
+        return seconds(endBeat);
+    }
+
+    /*
+     * With a taal declared, sam is accented over the other matras.
+     */
+    private velocity(doc: SDDocument, note: SDSourceNote): number {
+        let taal = doc.header.taal;
+        return !taal ? 1 : (taal.isSam(doc.tempo.matra(note.beat)) ? 1 : 0.7);
+    }
+
+    /*
+     * How long the note at `index` sounds, in seconds, once the ties and
+     * meend targets following it are joined on, and where its meends slide
+     * (`semitones` measures a note from the sample played for the phrase).
+     */
+    private phrase(notes: SDSourceNote[], index: number, seconds: (beat: number) => number, semitones: (note: SDSourceNote) => number): SDPhrase {
+        let origin = notes[index];
+        let since = (beat: number) => seconds(beat) - seconds(origin.beat);
+        let phrase: SDPhrase = { duration: since(origin.beat + origin.duration), glides: [] };
+        let previous = origin;
+        for (let i = index + 1; i < notes.length && (notes[i].isTie || notes[i].glidesFrom); i++) {
+            let note = notes[i];
+            note.glidesFrom && phrase.glides.push({
+                from: since(previous.beat + previous.duration / 2),
+                at: since(note.beat),
+                fromSemitones: semitones(previous),
+                toSemitones: semitones(note)
+            });
+            previous = note;
+            phrase.duration = since(note.beat + note.duration);
+        }
+        return phrase;
+    }
+
+    /*
+     * Tone.Sampler has no pitch bend and only plays whole semitones, so the
+     * tuning's detune and the meend are drawn on the playback rate of the
+     * sample it has just started for `midi`.
+     */
+    private bend(midi: number, cents: number, glides: SDGlide[], time: number) {
+        let sources = this.toneInstrument._activeSources && this.toneInstrument._activeSources[midi];
+        let source = sources && sources[sources.length - 1];
+        if (!source) {
+            return;
+        }
+        let rate = source.playbackRate.value;
+        let ratio = (semitones: number) => rate * Math.pow(2, semitones / 12);
+        source.playbackRate.setValueAtTime(ratio(cents / 100), time);
+        for (let glide of glides) {
+            source.playbackRate.setValueAtTime(ratio(glide.fromSemitones), time + glide.from);
+            source.playbackRate.exponentialRampToValueAtTime(ratio(glide.toSemitones), time + glide.at);
+        }
+    }
+}
+
+interface SDPhrase {
+    duration: number //seconds
+    glides: SDGlide[]
+}
+
+interface SDGlide {
+    from: number //seconds after the attack the slide starts
+    at: number //seconds after the attack the target swar is reached
+    fromSemitones: number //away from the sample started for the phrase
+    toSemitones: number
+}
@@ -0,0 +1,133 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDDiagnostic_1 = require("./SDDiagnostic");
+const SDLineIndex_1 = require("./SDLineIndex");
+/*
+ * A taal declared in the header, either by name (`||teentaal||`) or by its
+ * vibhag structure and markers (`||3+2+2 0 1 2||`). `@n` makes the first
+ * written beat fall on matra n, e.g. `||teentaal@13||`.
+ */
+class SDTaal {
+    constructor(name, vibhags, markers) {
+        this.startMatra = 1;
+        this.name = name;
+        this.vibhags = vibhags;
+        this.markers = markers;
+    }
+    static parse(field) {
+        let match = field.match(/^(.+?)\s*(@\s*(\d+))?$/);
+        let taal = match ? (SDTaal.named(match[1]) || SDTaal.custom(match[1])) : null;
+        taal && match[3] && (taal.startMatra = Number(match[3]));
+        return taal;
+    }
+    static named(str) {
+        let name = str.toLowerCase().replace(/\s+/g, '');
+        name = SDTaal.aliases[name] || name;
+        let definition = SDTaal.catalogue[name];
+        return definition ? new SDTaal(name, definition.vibhags, definition.markers) : null;
+    }
+    static custom(str) {
+        let match = str.match(/^(\d+(?:\s*\+\s*\d+)+)((?:\s+[xX0-9]+)*)$/);
+        if (!match) {
+            return null;
+        }
+        let vibhags = match[1].split('+').map((n) => Number(n));
+        let markers = match[2].trim().split(/\s+/).filter((m) => m.length).map((m) => m.toUpperCase());
+        markers = markers.length === vibhags.length ? markers : vibhags.map((v, i) => i ? String(i + 1) : 'X');
+        return new SDTaal(vibhags.join('+'), vibhags, markers);
+    }
+    matras() {
+        return this.vibhags.reduce((sum, v) => sum + v, 0);
+    }
+    /*
+     * 1-based matra of the avartan reached after `elapsed` matras of the
+     * composition (see SDTempo.matra).
+     */
+    matraAt(elapsed) {
+        let matras = this.matras();
+        return ((Math.floor(SDTaal.snap(elapsed)) + this.startMatra - 1) % matras + matras) % matras + 1;
+    }
+    /*
+     * X, 0 or a tali number when `elapsed` starts a vibhag, otherwise null.
+     */
+    markerAt(elapsed) {
+        if (!SDTaal.isWhole(elapsed)) {
+            return null;
+        }
+        let matra = this.matraAt(elapsed);
+        let first = 1;
+        for (let i = 0; i < this.vibhags.length; i++) {
+            if (matra === first) {
+                return this.markers[i];
+            }
+            first += this.vibhags[i];
+        }
+        return null;
+    }
+    isSam(elapsed) {
+        return SDTaal.isWhole(elapsed) && this.matraAt(elapsed) === 1;
+    }
+    /*
+     * Every notation line must hold whole avartans of the taal. The first
+     * line is measured from the matra it starts on, so a bandish starting
+     * at `@n` may open with the matras up to sam. With `from` only the
+     * lines from that note on, which must start a line, are checked.
+     */
+    check(notes, tempo, source, from = 0) {
+        let diagnostics = [];
+        let lines = SDLineIndex_1.default.of(source);
+        let matras = this.matras();
+        let lineStart = -1;
+        let first = null;
+        let last = null;
+        let flush = () => {
+            let elapsed = first ? SDTaal.snap(tempo.matra(last.beat + last.duration) - tempo.matra(first.beat)) : 0;
+            let from = first && first === notes[0] ? this.matraAt(tempo.matra(first.beat)) : 1;
+            let isIncomplete = first && !(SDTaal.isWhole((elapsed + from - 1) / matras));
+            isIncomplete && diagnostics.push(SDDiagnostic_1.default.at(source, first.start, source.substring(first.start, first.end), `Line has ${+elapsed.toFixed(2)} matras${from > 1 ? ` from matra ${from}` : ''}, ${this.name} avartans have ${matras}`, 'warning'));
+        };
+        for (let note of notes.slice(from)) {
+            let noteLineStart = lines.lineStart(note.start);
+            if (noteLineStart !== lineStart) {
+                flush();
+                lineStart = noteLineStart;
+                first = note;
+            }
+            last = note;
+        }
+        flush();
+        return diagnostics;
+    }
+    /*
+     * Beat divisions like thirds add up with rounding errors, positions this
+     * close to a whole matra are taken as that matra.
+     */
+    static snap(value) {
+        let whole = Math.round(value);
+        return Math.abs(value - whole) < 1e-6 ? whole : value;
+    }
+    static isWhole(value) {
+        return SDTaal.snap(value) === Math.floor(SDTaal.snap(value));
+    }
+}
+exports.default = SDTaal;
+SDTaal.catalogue = {
+    'teentaal': { vibhags: [4, 4, 4, 4], markers: ['X', '2', '0', '3'] },
+    'ektaal': { vibhags: [2, 2, 2, 2, 2, 2], markers: ['X', '0', '2', '0', '3', '4'] },
+    'jhaptaal': { vibhags: [2, 3, 2, 3], markers: ['X', '2', '0', '3'] },
+    'rupak': { vibhags: [3, 2, 2], markers: ['0', '1', '2'] },
+    'dadra': { vibhags: [3, 3], markers: ['X', '0'] },
+    'keherwa': { vibhags: [4, 4], markers: ['X', '0'] }
+};
+SDTaal.aliases = {
+    'tintal': 'teentaal',
+    'tintaal': 'teentaal',
+    'trital': 'teentaal',
+    'teental': 'teentaal',
+    'ektal': 'ektaal',
+    'jhaptal': 'jhaptaal',
+    'roopak': 'rupak',
+    'rupaktaal': 'rupak',
+    'kaharwa': 'keherwa',
+    'kehrwa': 'keherwa'
+};
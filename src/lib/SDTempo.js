@@ -0,0 +1,67 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * Tempo of a composition from beat to beat. Written beats are converted to
+ * seconds for playback and to matras of the laya for taal keeping, so a
+ * dugun passage (`{x2}`) fits two written beats into each matra.
+ */
+class SDTempo {
+    constructor(bpm) {
+        this.changes = [{ beat: 0, bpm: bpm, multiplier: 1, seconds: 0, matras: 0 }];
+    }
+    /*
+     * A tempo with only the first `count` changes of this one, for a
+     * re-parse that places the notes after them again. Changes are only
+     * ever added, so the two can share them.
+     */
+    until(count) {
+        let tempo = new SDTempo(this.changes[0].bpm);
+        tempo.changes = this.changes.slice(0, count);
+        return tempo;
+    }
+    changeCount() {
+        return this.changes.length;
+    }
+    setBpm(beat, bpm) {
+        this.change(beat, bpm, 1);
+    }
+    setMultiplier(beat, multiplier) {
+        this.change(beat, this.at(beat).bpm, multiplier);
+    }
+    /*
+     * Written beats per minute at `beat`.
+     */
+    bpmAt(beat) {
+        let change = this.at(beat);
+        return change.bpm * change.multiplier;
+    }
+    seconds(beat) {
+        let change = this.at(beat);
+        return change.seconds + (beat - change.beat) * 60 / (change.bpm * change.multiplier);
+    }
+    matra(beat) {
+        let change = this.at(beat);
+        return change.matras + (beat - change.beat) / change.multiplier;
+    }
+    /*
+     * Changes come in beat order, each keeps the time elapsed before it so
+     * a position is converted without adding up the changes before it. A
+     * later change on the same beat overrides an earlier one.
+     */
+    change(beat, bpm, multiplier) {
+        this.changes.push({ beat: beat, bpm: bpm, multiplier: multiplier, seconds: this.seconds(beat), matras: this.matra(beat) });
+    }
+    /*
+     * Change in effect at `beat`, found by binary search.
+     */
+    at(beat) {
+        let low = 0;
+        let high = this.changes.length - 1;
+        while (low < high) {
+            let mid = (low + high + 1) >> 1;
+            this.changes[mid].beat <= beat ? low = mid : high = mid - 1;
+        }
+        return this.changes[low];
+    }
+}
+exports.default = SDTempo;
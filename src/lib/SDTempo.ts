@@ -0,0 +1,84 @@
+interface SDTempoChange {
+    beat: number
+    bpm: number //laya set by the header or a `{120}` directive
+    multiplier: number //layakari set by a `{x2}` directive
+    seconds: number //elapsed before the change
+    matras: number
+}
+
+/*
+ * Tempo of a composition from beat to beat. Written beats are converted to
+ * seconds for playback and to matras of the laya for taal keeping, so a
+ * dugun passage (`{x2}`) fits two written beats into each matra.
+ */
+export default class SDTempo {
+
+    private changes: SDTempoChange[]
+
+    constructor(bpm: number) {
+        this.changes = [{ beat: 0, bpm: bpm, multiplier: 1, seconds: 0, matras: 0 }];
+    }
+
+    /*
+     * A tempo with only the first `count` changes of this one, for a
+     * re-parse that places the notes after them again. Changes are only
+     * ever added, so the two can share them.
+     */
+    until(count: number): SDTempo {
+        let tempo = new SDTempo(this.changes[0].bpm);
+        tempo.changes = this.changes.slice(0, count);
+        return tempo;
+    }
+
+    changeCount(): number {
+        return this.changes.length;
+    }
+
+    setBpm(beat: number, bpm: number) {
+        this.change(beat, bpm, 1);
+    }
+
+    setMultiplier(beat: number, multiplier: number) {
+        this.change(beat, this.at(beat).bpm, multiplier);
+    }
+
+    /*
+     * Written beats per minute at `beat`.
+     */
+    bpmAt(beat: number): number {
+        let change = this.at(beat);
+        return change.bpm * change.multiplier;
+    }
+
+    seconds(beat: number): number {
+        let change = this.at(beat);
+        return change.seconds + (beat - change.beat) * 60 / (change.bpm * change.multiplier);
+    }
+
+    matra(beat: number): number {
+        let change = this.at(beat);
+        return change.matras + (beat - change.beat) / change.multiplier;
+    }
+
+    /*
+     * Changes come in beat order, each keeps the time elapsed before it so
+     * a position is converted without adding up the changes before it. A
+     * later change on the same beat overrides an earlier one.
+     */
+    private change(beat: number, bpm: number, multiplier: number) {
+        this.changes.push({ beat: beat, bpm: bpm, multiplier: multiplier, seconds: this.seconds(beat), matras: this.matra(beat) });
+    }
+
+    /*
+     * Change in effect at `beat`, found by binary search.
+     */
+    private at(beat: number): SDTempoChange {
+        let low = 0;
+        let high = this.changes.length - 1;
+        while (low < high) {
+            let mid = (low + high + 1) >> 1;
+            this.changes[mid].beat <= beat ? low = mid : high = mid - 1;
+        }
+        return this.changes[low];
+    }
+}
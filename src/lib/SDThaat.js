@@ -0,0 +1,59 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/*
+ * A thaat declared in the header, directly (`||bhairav||`) or through a
+ * raag that belongs to it (`||raag yaman||`). Swaras written without `_`,
+ * `^` or `=` take the thaat's komal or tivra variant.
+ */
+class SDThaat {
+    constructor(name, variants) {
+        this.name = name;
+        this.variants = {};
+        variants.forEach((variant) => this.variants[variant.charAt(variant.length - 1)] = variant);
+    }
+    /*
+     * `bhairav`, `thaat bhairav`, `yaman` or `raag yaman`.
+     */
+    static parse(field) {
+        let name = field.toLowerCase().replace(/^(thaat|that|raag|rag)\s+/, '').replace(/\s+/g, '');
+        name = SDThaat.raags[name] || name;
+        let variants = SDThaat.catalogue[name];
+        return variants ? new SDThaat(name, variants) : null;
+    }
+    /*
+     * Value of a Devanagari swar letter like 'र' in this thaat, e.g. '_र'
+     * in bhairav.
+     */
+    variant(swar) {
+        return this.variants[swar] || swar;
+    }
+}
+SDThaat.catalogue = {
+    'bilawal': [],
+    'kalyan': ['^म'],
+    'khamaj': ['_न'],
+    'kafi': ['_ग', '_न'],
+    'asavari': ['_ग', '_ध', '_न'],
+    'bhairavi': ['_र', '_ग', '_ध', '_न'],
+    'bhairav': ['_र', '_ध'],
+    'marwa': ['_र', '^म'],
+    'purvi': ['_र', '^म', '_ध'],
+    'todi': ['_र', '_ग', '^म', '_ध']
+};
+SDThaat.raags = {
+    'yaman': 'kalyan',
+    'bhupali': 'kalyan',
+    'hamsadhwani': 'bilawal',
+    'durga': 'bilawal',
+    'desh': 'khamaj',
+    'jhinjhoti': 'khamaj',
+    'bageshri': 'kafi',
+    'bhimpalasi': 'kafi',
+    'malkauns': 'bhairavi',
+    'darbari': 'asavari',
+    'jaunpuri': 'asavari',
+    'puriyadhanashri': 'purvi',
+    'multani': 'todi',
+    'sohini': 'marwa'
+};
+exports.default = SDThaat;
@@ -0,0 +1,311 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDDiagnostic_1 = require("./SDDiagnostic");
+const SDScript_1 = require("./SDScript");
+const SDShruti_1 = require("./SDShruti");
+/*
+ * Splits surdown notation into tokens that keep their offsets in the source
+ * text. Characters that cannot be read are reported in `diagnostics` and
+ * skipped, so one typo does not hide the rest of the composition.
+ */
+class SDTokenizer {
+    constructor(str, start, end) {
+        this.diagnostics = [];
+        this.carnatic = null; //set to read swarasthanas instead of Hindustani letters
+        this.thaat = null; //set to give unmarked swaras the thaat's variants
+        this.str = str;
+        this.begin = this.pos = start || 0;
+        this.end = end === undefined ? str.length : end;
+    }
+    /*
+     * `%` starts a comment that runs to the end of the line. Comments are
+     * blanked out with spaces, so everything else keeps its offset.
+     */
+    static withoutComments(str) {
+        return str.replace(/%[^\n]*/g, (comment) => ' '.repeat(comment.length));
+    }
+    tokenize() {
+        let tokens = [];
+        while (this.pos < this.end) {
+            let token = this.next();
+            token && tokens.push(token);
+        }
+        return tokens;
+    }
+    next() {
+        let start = this.pos;
+        let ch = this.str.charAt(start);
+        let groupType = SDTokenizer.groupAnnotations[ch];
+        if (/\s/.test(ch)) {
+            this.pos++;
+            return null;
+        }
+        if (groupType) {
+            this.pos++;
+            return { type: groupType, value: ch === '।' ? '|' : ch, start: start, end: this.pos };
+        }
+        if (ch === '#' && this.isLineStart(start)) {
+            return this.readSection();
+        }
+        if (ch === '"' && this.isLineStart(start)) {
+            return this.readLyrics();
+        }
+        if (this.str.substring(start, start + 2) === '[:') {
+            this.pos += 2;
+            return { type: 'repeat-open', value: '[:', start: start, end: this.pos };
+        }
+        if (this.str.substring(start, start + 2) === ':]') {
+            return this.readRepeatClose();
+        }
+        return ch === '(' ? this.readKan() : (ch === '{' ? this.readTempo() : this.readNote());
+    }
+    /*
+     * `# Sthayi`: a heading on its own line starts a named section, as in
+     * Markdown any number of `#` may be written.
+     */
+    readSection() {
+        let start = this.pos;
+        this.pos = this.lineEnd(start);
+        let text = this.str.substring(start, this.pos);
+        let name = text.replace(/^#+|#+$/g, '').trim();
+        !name && this.report(start, text.trim(), 'Section heading "#" needs a name');
+        return name ? { type: 'section', value: name, start: start, end: this.pos } : null;
+    }
+    /*
+     * `:]` closes a repeat that is played twice, `:]x3` gives the count.
+     */
+    readRepeatClose() {
+        let start = this.pos;
+        let count = this.matchAt(start + 2, SDTokenizer.repeatCount);
+        this.pos += 2 + (count ? count[0].length : 0);
+        let isValid = !count || Number(count[1]) > 0;
+        !isValid && this.report(start, this.str.substring(start, this.pos), 'A repeat must be played at least once');
+        return { type: 'repeat-close', value: count && isValid ? count[1] : (count ? '1' : '2'), start: start, end: this.pos };
+    }
+    /*
+     * `" shyaam ba ja ve`: the words sung on the notation line above.
+     */
+    readLyrics() {
+        let start = this.pos;
+        this.pos = this.lineEnd(start);
+        return { type: 'lyrics', value: this.str.substring(start + 1, this.pos), start: start, end: this.pos };
+    }
+    /*
+     * Match of a sticky expression at `offset` within the notation, read
+     * in place rather than from a copy of the rest of the source.
+     */
+    matchAt(offset, reg) {
+        reg.lastIndex = offset;
+        let match = reg.exec(this.str);
+        return match && offset + match[0].length <= this.end ? match : null;
+    }
+    lineEnd(offset) {
+        let newline = this.str.indexOf('\n', offset);
+        return newline >= 0 && newline < this.end ? newline : this.end;
+    }
+    isLineStart(offset) {
+        let i = offset - 1;
+        while (i >= this.begin && /[ \t]/.test(this.str.charAt(i))) {
+            i--;
+        }
+        return i < this.begin || this.str.charAt(i) === '\n';
+    }
+    /*
+     * `{120}` sets the laya in bpm, `{x2}`, `{x1.5}` or `{x1/2}` plays at a
+     * multiple of it.
+     */
+    readTempo() {
+        let start = this.pos;
+        let lineEnd = this.lineEnd(start);
+        let close = this.str.substring(start, lineEnd).indexOf('}');
+        if (close < 0) {
+            this.pos = lineEnd;
+            this.report(start, this.str.substring(start, this.pos), 'Tempo "{" is never closed');
+            return null;
+        }
+        this.pos = start + close + 1;
+        let text = this.str.substring(start, this.pos);
+        let value = text.substring(1, text.length - 1).replace(/\s+/g, '').toLowerCase();
+        let isWritten = /^(\d+(\.\d+)?|x(\d+(\.\d+)?|\d+\/\d+))$/.test(value);
+        let isValid = isWritten && isFinite(SDTokenizer.tempoValue(value)) && SDTokenizer.tempoValue(value) > 0;
+        let message = isWritten && /\/0+$/.test(value) ? `Tempo "${text}" divides by zero` : `Invalid tempo "${text}", write a bpm like {120} or a multiplier like {x2}`;
+        !isValid && this.report(start, text, message);
+        return isValid ? { type: 'tempo', value: value, start: start, end: this.pos } : null;
+    }
+    /*
+     * Number in a tempo token value, the bpm or the multiplier.
+     */
+    static tempoValue(value) {
+        let number = value.replace(/^x/, '').split('/');
+        return number.length > 1 ? Number(number[0]) / Number(number[1]) : Number(number[0]);
+    }
+    /*
+     * `(P)M`: one or more kan swaras in brackets, directly followed by the
+     * swar they ornament.
+     */
+    readKan() {
+        let start = this.pos++;
+        let kan = [];
+        let ch = this.str.charAt(this.pos);
+        while (this.pos < this.end && ch !== ')' && ch !== '\n' && !SDTokenizer.groupAnnotations[ch]) {
+            if (/\s/.test(ch)) {
+                this.pos++;
+            }
+            else {
+                let note = this.readNote();
+                note && kan.push(note);
+            }
+            ch = this.str.charAt(this.pos);
+        }
+        if (this.pos >= this.end || ch !== ')') {
+            this.report(start, '(', 'Kan "(" is never closed');
+            return null;
+        }
+        this.pos++;
+        let text = this.str.substring(start, this.pos);
+        !kan.length && this.report(start, text, 'Empty kan "()"');
+        if (!this.isNoteStart(this.str.charAt(this.pos))) {
+            kan.length && this.report(start, text, `Kan "${text}" must be followed by the swar it ornaments`);
+            return null;
+        }
+        let note = this.readNote();
+        note && (note.kan = kan);
+        return note;
+    }
+    readNote() {
+        let start = this.pos;
+        let annotations = '';
+        while (this.pos < this.end && SDTokenizer.noteAnnotations.indexOf(this.str.charAt(this.pos)) >= 0) {
+            annotations += this.str.charAt(this.pos++);
+        }
+        let ch = this.str.charAt(this.pos);
+        if (this.isSwarasthanaStart(ch)) {
+            return this.readSwarasthana(start, annotations);
+        }
+        let swar = this.pos < this.end ? SDTokenizer.swar(ch) : null;
+        if (!swar) {
+            annotations ? this.report(start, annotations, `Annotation "${annotations}" must be followed by a swar`)
+                : this.reportInvalid(ch);
+            return null;
+        }
+        this.pos++;
+        while (this.pos < this.end && SDTokenizer.isSign(this.str.charAt(this.pos))) {
+            annotations += SDTokenizer.signs[SDScript_1.default.devanagari(this.str.charAt(this.pos++))] || '';
+        }
+        return this.readShruti({ type: 'note', value: this.variant(annotations, swar), start: start, end: this.pos });
+    }
+    /*
+     * `@` after a swar tunes it by cents, `G@-20`, or to one of the 22
+     * shrutis, `G@6`.
+     */
+    readShruti(note) {
+        if (this.str.charAt(this.pos) !== '@' || this.pos >= this.end) {
+            return note;
+        }
+        let start = this.pos;
+        let match = this.matchAt(start + 1, SDTokenizer.shrutiValue);
+        let value = match ? match[0] : '';
+        this.pos += 1 + value.length;
+        let isValid = /^[+-]/.test(value) || SDShruti_1.default.isShruti(Number(value));
+        !isValid && this.report(start, this.str.substring(start, this.pos), `Write cents like "@-20" or a shruti from 1 to 22 like "@6" after "@"`);
+        isValid && (note.shruti = value);
+        note.end = this.pos;
+        return note;
+    }
+    /*
+     * `=` makes a swar shuddha. With a thaat declared the case of a Roman
+     * letter no longer matters: the swar takes the thaat's variant unless
+     * `_`, `^` or `=` says otherwise.
+     */
+    variant(annotations, swar) {
+        let letter = swar.charAt(swar.length - 1);
+        if (annotations.indexOf('=') >= 0) {
+            return annotations.replace(/[=_^]/g, '') + letter;
+        }
+        let isMarked = /[_^]/.test(annotations);
+        return this.thaat ? annotations + (isMarked ? letter : this.thaat.variant(letter)) : annotations + swar;
+    }
+    /*
+     * Carnatic notation: a letter in either case, followed by its number
+     * unless the melakarta decides it, e.g. `R2`, `g` or `*S`.
+     */
+    readSwarasthana(start, annotations) {
+        let letter = this.str.charAt(this.pos++);
+        let number = this.pos < this.end && /[1-3]/.test(this.str.charAt(this.pos)) ? this.str.charAt(this.pos++) : '';
+        let name = this.carnatic.resolve(letter, number);
+        while (this.pos < this.end && SDTokenizer.isSign(this.str.charAt(this.pos))) {
+            annotations += SDTokenizer.signs[SDScript_1.default.devanagari(this.str.charAt(this.pos++))] || '';
+        }
+        let text = this.str.substring(start, this.pos);
+        /[_^]/.test(annotations) && this.report(start, text, `Write the swarasthana number instead of "_" or "^" in Carnatic notation`);
+        !name && this.report(start, text, `No swarasthana "${letter.toUpperCase() + number}"`);
+        return name ? this.readShruti({ type: 'note', value: annotations.replace(/[_^]/g, '') + name, start: start, end: this.pos }) : null;
+    }
+    isNoteStart(ch) {
+        return this.pos < this.end && (SDTokenizer.noteAnnotations.indexOf(ch) >= 0 || !!SDTokenizer.swar(ch) || this.isSwarasthanaStart(ch));
+    }
+    isSwarasthanaStart(ch) {
+        return !!this.carnatic && /^[srgmpdn]$/i.test(ch);
+    }
+    reportInvalid(ch) {
+        let sign = SDTokenizer.matras.indexOf(SDScript_1.default.devanagari(ch)) >= 0 ? 'Matra' : 'Mark';
+        let message = SDTokenizer.isSign(ch) ? `${sign} "${ch}" must follow a swar` : `Invalid character: "${ch}", no position found in scale`;
+        this.report(this.pos, ch, ch === '#' ? 'Section heading "#" must start a line' : message);
+        this.pos++;
+    }
+    report(offset, text, message) {
+        this.diagnostics.push(SDDiagnostic_1.default.at(this.str, offset, text, message));
+    }
+    /*
+     * Matras and marks written after a swar, as in सां, नी॒ or ध़.
+     */
+    static isSign(ch) {
+        ch = SDScript_1.default.devanagari(ch);
+        return SDTokenizer.matras.indexOf(ch) >= 0 || !!SDTokenizer.signs[ch];
+    }
+    /*
+     * Roman letters and the letters of every script in SDScript are read as
+     * the Devanagari swar they stand for.
+     */
+    static swar(ch) {
+        ch = SDScript_1.default.devanagari(ch);
+        return SDTokenizer.romanToDevNagri[ch] || (SDTokenizer.notes.indexOf(ch) >= 0 ? ch : null);
+    }
+}
+SDTokenizer.noteAnnotations = ['*', '/', '^', '_', '=']; //'=' marks a shuddha swar against the thaat
+SDTokenizer.notes = ['स', 'र', 'ग', 'म', 'प', 'ध', 'न'];
+SDTokenizer.matras = ['ी', 'ि', 'ा', 'े'];
+SDTokenizer.signs = {
+    '़': '/',
+    '\u0323': '/',
+    'ं': '*',
+    '\u0307': '*',
+    '॒': '_',
+    '॑': '^' //line above, tivra
+};
+SDTokenizer.groupAnnotations = {
+    '<': 'group-open',
+    '>': 'group-close',
+    '|': 'bar',
+    '।': 'bar',
+    '-': 'tie',
+    '~': 'meend',
+    ',': 'rest'
+};
+SDTokenizer.repeatCount = /x(\d+)/y; //after ':]'
+SDTokenizer.shrutiValue = /[+-]\d+(\.\d+)?|\d+/y; //after '@'
+SDTokenizer.romanToDevNagri = {
+    'S': 'स',
+    'r': '_र',
+    'R': 'र',
+    'g': '_ग',
+    'G': 'ग',
+    'm': 'म',
+    'M': '^म',
+    'P': 'प',
+    'd': '_ध',
+    'D': 'ध',
+    'n': '_न',
+    'N': 'न'
+};
+exports.default = SDTokenizer;
@@ -0,0 +1,78 @@
+import SDDocument from './SDDocument';
+import { SDToken } from './SDTokenizer';
+import SDCarnatic from './SDCarnatic';
+
+/*
+ * Rewrites the swaras of a composition between Roman T2 letters
+ * (S r R g G m M P d D n N) and Devanagari (स _र र _ग ग म ^म ...). Swaras
+ * written in one of the other scripts of SDScript are rewritten either
+ * way. Only the swaras change: octave annotations, groups, the header,
+ * headings, lyrics and comments are kept as they are written. With a thaat
+ * declared a swar written without `_`, `^` or `=` stays unmarked, in Roman
+ * with its shuddha letter, so the thaat still decides its variant.
+ */
+export default class SDTransliterator {
+
+    private static roman: { [value: string]: string } = {
+        'स': 'S',
+        '_र': 'r',
+        'र': 'R',
+        '_ग': 'g',
+        'ग': 'G',
+        'म': 'm',
+        '^म': 'M',
+        'प': 'P',
+        '_ध': 'd',
+        'ध': 'D',
+        '_न': 'n',
+        'न': 'N'
+    }
+    private static marks = /[\u0951\u0952]/ //tivra and komal lines written after a Devanagari swar
+
+    static toRoman(doc: SDDocument): string {
+        return SDTransliterator.convert(doc, true);
+    }
+
+    static toDevanagari(doc: SDDocument): string {
+        return SDTransliterator.convert(doc, false);
+    }
+
+    private static convert(doc: SDDocument, isRoman: boolean): string {
+        let source = doc.source;
+        let notes: SDToken[] = [];
+        doc.tokens.filter((token) => token.type === 'note').forEach((token) => notes.push(...(token.kan || []), token));
+        let converted = '';
+        let offset = 0;
+        for (let note of notes) {
+            let text = source.substring(note.start, note.end);
+            let end = text.indexOf('@') >= 0 ? note.start + text.indexOf('@') : note.end;
+            let swar = SDTransliterator.swar(source.substring(note.start, end), note.value, isRoman, !!doc.header.thaat);
+            converted += source.substring(offset, note.start) + (swar === null ? source.substring(note.start, end) : swar);
+            offset = end;
+        }
+        return converted + source.substring(offset);
+    }
+
+    /*
+     * `written` in the asked for script, or null when it is already in it
+     * or is a Carnatic swarasthana.
+     */
+    private static swar(written: string, value: string, isRoman: boolean, hasThaat: boolean): string {
+        let prefix = written.match(/^[*\/_^=]*/)[0];
+        let letter = written.charAt(prefix.length);
+        let isWritten = isRoman ? /[A-Za-z]/.test(letter) : /[\u0900-\u097f]/.test(letter);
+        let octave = value.replace(/[^*\/]/g, '');
+        let variant = value.replace(/[*\/]/g, '');
+        if (isWritten || SDCarnatic.isSwarasthana(variant)) {
+            return null;
+        }
+        let isMarked = /[_^=]/.test(prefix) || SDTransliterator.marks.test(written);
+        let mark = prefix.indexOf('=') >= 0 ? '=' : variant.replace(/[^_^]/g, '');
+        if (hasThaat) {
+            let shuddha = variant.charAt(variant.length - 1);
+            let roman = isMarked ? SDTransliterator.roman[variant] || SDTransliterator.roman[shuddha] : SDTransliterator.roman[shuddha];
+            return octave + (isMarked ? mark : '') + (isRoman ? roman : shuddha);
+        }
+        return octave + (isRoman ? SDTransliterator.roman[variant] || mark + SDTransliterator.roman[variant.charAt(variant.length - 1)] : variant);
+    }
+}
@@ -0,0 +1,189 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDDocument_1 = require("./SDDocument");
+const SDThaat_1 = require("./SDThaat");
+const SDLineIndex_1 = require("./SDLineIndex");
+/*
+ * A parsed composition as a plain tree, document → sections → lines → bars
+ * → beats → notes, with annotations as properties. It serialises to JSON,
+ * and `toSource()` writes it back as surdown after a tool has changed it.
+ * Offsets and beats describe the parsed source and are not read back.
+ */
+class SDTree {
+    constructor(document) {
+        this.document = document;
+    }
+    static parse(source) {
+        return SDTree.fromDocument(SDDocument_1.default.parse(source));
+    }
+    static fromDocument(doc) {
+        return new SDTree({
+            type: 'document',
+            header: doc.header.metadata(),
+            sections: new SDTreeBuilder(doc).sections()
+        });
+    }
+    static fromJSON(json) {
+        let document = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!document || document.type !== 'document' || !Array.isArray(document.sections)) {
+            throw new Error('Not a surdown document tree');
+        }
+        return new SDTree(document);
+    }
+    toJSON() {
+        return this.document;
+    }
+    /*
+     * Surdown notation of the tree. Comment-only lines are not part of the
+     * tree and are left out.
+     */
+    toSource() {
+        let fields = this.document.header.fields;
+        let thaat = this.document.header.thaat ? SDThaat_1.default.parse(this.document.header.thaat) : null;
+        let lines = fields.length ? ['||' + fields.join('||') + '||'] : [];
+        for (let section of this.document.sections) {
+            section.name && lines.push('# ' + section.name);
+            for (let line of section.lines) {
+                let notation = line.bars.map((bar) => bar.beats.map((beat) => SDTree.beatSource(beat, thaat)).join(' ')).join(' | ').trim();
+                lines.push(notation + (line.comment !== undefined ? ' %' + line.comment : ''));
+                line.lyrics !== undefined && lines.push('"' + line.lyrics);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+    static beatSource(beat, thaat) {
+        let notes = beat.notes.map((note) => note.type === 'beat' ? SDTree.beatSource(note, thaat) : SDTree.noteSource(note, thaat));
+        let text = beat.notes.length === 1 && beat.notes[0].type === 'note' ? notes[0] : '<' + notes.join(' ') + '>';
+        text = (beat.tempo ? '{' + beat.tempo + '} ' : '') + (beat.repeatOpen ? '[: ' : '') + text;
+        return text + (beat.repeatClose ? ' :]' + (beat.repeatClose !== 2 ? 'x' + beat.repeatClose : '') : '');
+    }
+    static noteSource(note, thaat) {
+        if (note.tie || note.rest) {
+            return note.tie ? '-' : ',';
+        }
+        let letter = note.value.charAt(note.value.length - 1);
+        let isShuddha = thaat && !/[_^]/.test(note.value) && thaat.variant(letter) !== letter;
+        let value = (isShuddha ? '=' : '') + note.value;
+        let shruti = note.shruti ? '@' + note.shruti : (note.cents ? '@' + (note.cents > 0 ? '+' : '') + note.cents : '');
+        return (note.meend ? '~ ' : '') + (note.kan && note.kan.length ? '(' + note.kan.join(' ') + ')' : '') + value + shruti;
+    }
+}
+exports.default = SDTree;
+/*
+ * Walks the tokens of a document once, placing each at its line, bar and
+ * beat.
+ */
+class SDTreeBuilder {
+    constructor(doc) {
+        this.notes = {}; //first time each written note is played
+        this.lyrics = {};
+        this.line = null;
+        this.bar = null;
+        this.groups = [];
+        this.tempo = null;
+        this.repeatOpen = false;
+        this.last = null;
+        this.doc = doc;
+        doc.notes.forEach((note) => this.notes[note.start] === undefined && (this.notes[note.start] = note));
+        doc.lyrics.forEach((syllable) => this.lyrics[syllable.note.start] === undefined && (this.lyrics[syllable.note.start] = syllable.text));
+    }
+    sections() {
+        let sections = this.doc.sections.map((section) => ({ type: 'section', name: section.name, start: section.start, end: section.end, lines: [] }));
+        let index = -1;
+        for (let token of this.doc.tokens) {
+            while (index + 1 < sections.length && token.start >= sections[index + 1].start) {
+                index++;
+                this.line = null;
+            }
+            index >= 0 && token.type !== 'section' && this.add(token, sections[index]);
+        }
+        return sections;
+    }
+    add(token, section) {
+        if (token.type === 'lyrics') {
+            this.line && this.line.lyrics === undefined && (this.line.lyrics = token.value);
+            return;
+        }
+        let lineStart = SDLineIndex_1.default.of(this.doc.source).lineStart(token.start);
+        if (!this.line || this.line.start !== lineStart) {
+            this.startLine(lineStart, section);
+        }
+        switch (token.type) {
+            case 'bar':
+                this.groups = [];
+                this.bar.end = token.start;
+                this.bar = { type: 'bar', start: token.end, end: this.line.end, beats: [] };
+                this.line.bars.push(this.bar);
+                break;
+            case 'group-open':
+                this.groups.push(this.beat());
+                break;
+            case 'group-close':
+                this.groups.pop();
+                break;
+            case 'tempo':
+                this.tempo = token.value;
+                break;
+            case 'repeat-open':
+                this.repeatOpen = true;
+                break;
+            case 'repeat-close':
+                this.last && (this.last.repeatClose = Number(token.value));
+                break;
+            case 'note':
+            case 'tie':
+            case 'rest':
+                this.note(token);
+                break;
+        }
+    }
+    startLine(start, section) {
+        let end = this.doc.source.indexOf('\n', start);
+        end = end < 0 ? this.doc.source.length : end;
+        let comment = this.doc.source.substring(start, end).match(/%(.*)$/);
+        this.line = { type: 'line', start: start, end: end, bars: [] };
+        comment && (this.line.comment = comment[1]);
+        this.bar = { type: 'bar', start: start, end: end, beats: [] };
+        this.line.bars.push(this.bar);
+        this.groups = [];
+        section.lines.push(this.line);
+    }
+    /*
+     * A new beat, or division of the open one.
+     */
+    beat() {
+        let parent = this.groups[this.groups.length - 1];
+        let beat = { type: 'beat', beat: null, duration: 0, notes: [] };
+        if (parent) {
+            parent.notes.push(beat);
+            return beat;
+        }
+        this.tempo && (beat.tempo = this.tempo);
+        this.repeatOpen && (beat.repeatOpen = true);
+        this.tempo = null;
+        this.repeatOpen = false;
+        this.bar.beats.push(beat);
+        this.last = beat;
+        return beat;
+    }
+    note(token) {
+        let source = this.notes[token.start];
+        if (!source) {
+            return;
+        }
+        let note = { type: 'note', value: source.value, start: source.start, end: source.end, beat: source.beat, duration: source.duration, octave: source.octaveOffset() };
+        source.isTie && (note.tie = true);
+        source.isRest && !source.isTie && (note.rest = true);
+        source.glidesFrom && (note.meend = true);
+        source.kan.length && (note.kan = source.kan.map((kan) => kan.value));
+        source.cents && (note.cents = source.cents);
+        source.shruti && (note.shruti = source.shruti);
+        this.lyrics[source.start] !== undefined && (note.lyric = this.lyrics[source.start]);
+        let beats = this.groups.length ? this.groups : [this.beat()];
+        beats[beats.length - 1].notes.push(note);
+        for (let beat of beats) {
+            beat.beat = beat.beat === null ? note.beat : beat.beat;
+            beat.duration += note.duration;
+        }
+    }
+}
@@ -0,0 +1,266 @@
+import SDDocument from './SDDocument';
+import { SDMetadata } from './SDHeader';
+import { SDToken } from './SDTokenizer';
+import SDSourceNote from './SDSourceNote';
+import SDThaat from './SDThaat';
+import SDLineIndex from './SDLineIndex';
+
+export interface SDTreeNote {
+    type: 'note'
+    value: string //Devanagari swar or swarasthana with its annotations, e.g. '*_र' or 'R2'
+    start: number
+    end: number
+    beat: number //where the written swar is first played, a repeat plays it again later
+    duration: number
+    octave: number
+    tie?: boolean //'-', holds the previous swar
+    rest?: boolean //','
+    meend?: boolean //slides in from the previous swar
+    kan?: string[] //values of the grace notes before it
+    cents?: number
+    shruti?: number
+    lyric?: string
+}
+
+export interface SDTreeBeat {
+    type: 'beat'
+    beat: number
+    duration: number
+    notes: (SDTreeNote | SDTreeBeat)[] //a beat division `<...>` inside a beat is a beat itself
+    tempo?: string //`{120}` or `{x2}` written before the beat, without the braces
+    repeatOpen?: boolean //`[:` before the beat
+    repeatClose?: number //`:]x3` after the beat, the number of times the repeat is played
+}
+
+export interface SDTreeBar {
+    type: 'bar'
+    start: number
+    end: number
+    beats: SDTreeBeat[]
+}
+
+export interface SDTreeLine {
+    type: 'line'
+    start: number
+    end: number
+    bars: SDTreeBar[] //a bar before the first or after the last beat leaves an empty bar
+    lyrics?: string //the `"` line sung on it
+    comment?: string //`%` comment at the end of the line, without the '%'
+}
+
+export interface SDTreeSection {
+    type: 'section'
+    name: string //'' for notation written before the first heading
+    start: number
+    end: number
+    lines: SDTreeLine[]
+}
+
+export interface SDTreeDocument {
+    type: 'document'
+    header: SDMetadata
+    sections: SDTreeSection[]
+}
+
+/*
+ * A parsed composition as a plain tree, document → sections → lines → bars
+ * → beats → notes, with annotations as properties. It serialises to JSON,
+ * and `toSource()` writes it back as surdown after a tool has changed it.
+ * Offsets and beats describe the parsed source and are not read back.
+ */
+export default class SDTree {
+
+    document: SDTreeDocument
+
+    constructor(document: SDTreeDocument) {
+        this.document = document;
+    }
+
+    static parse(source: string): SDTree {
+        return SDTree.fromDocument(SDDocument.parse(source));
+    }
+
+    static fromDocument(doc: SDDocument): SDTree {
+        return new SDTree({
+            type: 'document',
+            header: doc.header.metadata(),
+            sections: new SDTreeBuilder(doc).sections()
+        });
+    }
+
+    static fromJSON(json: string | SDTreeDocument): SDTree {
+        let document: SDTreeDocument = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!document || document.type !== 'document' || !Array.isArray(document.sections)) {
+            throw new Error('Not a surdown document tree');
+        }
+        return new SDTree(document);
+    }
+
+    toJSON(): SDTreeDocument {
+        return this.document;
+    }
+
+    /*
+     * Surdown notation of the tree. Comment-only lines are not part of the
+     * tree and are left out.
+     */
+    toSource(): string {
+        let fields = this.document.header.fields;
+        let thaat = this.document.header.thaat ? SDThaat.parse(this.document.header.thaat) : null;
+        let lines: string[] = fields.length ? ['||' + fields.join('||') + '||'] : [];
+        for (let section of this.document.sections) {
+            section.name && lines.push('# ' + section.name);
+            for (let line of section.lines) {
+                let notation = line.bars.map((bar) => bar.beats.map((beat) => SDTree.beatSource(beat, thaat)).join(' ')).join(' | ').trim();
+                lines.push(notation + (line.comment !== undefined ? ' %' + line.comment : ''));
+                line.lyrics !== undefined && lines.push('"' + line.lyrics);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    private static beatSource(beat: SDTreeBeat, thaat: SDThaat): string {
+        let notes = beat.notes.map((note) => note.type === 'beat' ? SDTree.beatSource(note, thaat) : SDTree.noteSource(note, thaat));
+        let text = beat.notes.length === 1 && beat.notes[0].type === 'note' ? notes[0] : '<' + notes.join(' ') + '>';
+        text = (beat.tempo ? '{' + beat.tempo + '} ' : '') + (beat.repeatOpen ? '[: ' : '') + text;
+        return text + (beat.repeatClose ? ' :]' + (beat.repeatClose !== 2 ? 'x' + beat.repeatClose : '') : '');
+    }
+
+    private static noteSource(note: SDTreeNote, thaat: SDThaat): string {
+        if (note.tie || note.rest) {
+            return note.tie ? '-' : ',';
+        }
+        let letter = note.value.charAt(note.value.length - 1);
+        let isShuddha = thaat && !/[_^]/.test(note.value) && thaat.variant(letter) !== letter;
+        let value = (isShuddha ? '=' : '') + note.value;
+        let shruti = note.shruti ? '@' + note.shruti : (note.cents ? '@' + (note.cents > 0 ? '+' : '') + note.cents : '');
+        return (note.meend ? '~ ' : '') + (note.kan && note.kan.length ? '(' + note.kan.join(' ') + ')' : '') + value + shruti;
+    }
+}
+
+/*
+ * Walks the tokens of a document once, placing each at its line, bar and
+ * beat.
+ */
+class SDTreeBuilder {
+
+    private doc: SDDocument
+    private notes: { [start: number]: SDSourceNote } = {} //first time each written note is played
+    private lyrics: { [start: number]: string } = {}
+    private line: SDTreeLine = null
+    private bar: SDTreeBar = null
+    private groups: SDTreeBeat[] = []
+    private tempo: string = null
+    private repeatOpen: boolean = false
+    private last: SDTreeBeat = null
+
+    constructor(doc: SDDocument) {
+        this.doc = doc;
+        doc.notes.forEach((note) => this.notes[note.start] === undefined && (this.notes[note.start] = note));
+        doc.lyrics.forEach((syllable) => this.lyrics[syllable.note.start] === undefined && (this.lyrics[syllable.note.start] = syllable.text));
+    }
+
+    sections(): SDTreeSection[] {
+        let sections: SDTreeSection[] = this.doc.sections.map((section): SDTreeSection => ({ type: 'section', name: section.name, start: section.start, end: section.end, lines: [] }));
+        let index = -1;
+        for (let token of this.doc.tokens) {
+            while (index + 1 < sections.length && token.start >= sections[index + 1].start) {
+                index++;
+                this.line = null;
+            }
+            index >= 0 && token.type !== 'section' && this.add(token, sections[index]);
+        }
+        return sections;
+    }
+
+    private add(token: SDToken, section: SDTreeSection) {
+        if (token.type === 'lyrics') {
+            this.line && this.line.lyrics === undefined && (this.line.lyrics = token.value);
+            return;
+        }
+        let lineStart = SDLineIndex.of(this.doc.source).lineStart(token.start);
+        if (!this.line || this.line.start !== lineStart) {
+            this.startLine(lineStart, section);
+        }
+        switch (token.type) {
+            case 'bar':
+                this.groups = [];
+                this.bar.end = token.start;
+                this.bar = { type: 'bar', start: token.end, end: this.line.end, beats: [] };
+                this.line.bars.push(this.bar);
+                break;
+            case 'group-open':
+                this.groups.push(this.beat());
+                break;
+            case 'group-close':
+                this.groups.pop();
+                break;
+            case 'tempo':
+                this.tempo = token.value;
+                break;
+            case 'repeat-open':
+                this.repeatOpen = true;
+                break;
+            case 'repeat-close':
+                this.last && (this.last.repeatClose = Number(token.value));
+                break;
+            case 'note':
+            case 'tie':
+            case 'rest':
+                this.note(token);
+                break;
+        }
+    }
+
+    private startLine(start: number, section: SDTreeSection) {
+        let end = this.doc.source.indexOf('\n', start);
+        end = end < 0 ? this.doc.source.length : end;
+        let comment = this.doc.source.substring(start, end).match(/%(.*)$/);
+        this.line = { type: 'line', start: start, end: end, bars: [] };
+        comment && (this.line.comment = comment[1]);
+        this.bar = { type: 'bar', start: start, end: end, beats: [] };
+        this.line.bars.push(this.bar);
+        this.groups = [];
+        section.lines.push(this.line);
+    }
+
+    /*
+     * A new beat, or division of the open one.
+     */
+    private beat(): SDTreeBeat {
+        let parent = this.groups[this.groups.length - 1];
+        let beat: SDTreeBeat = { type: 'beat', beat: null, duration: 0, notes: [] };
+        if (parent) {
+            parent.notes.push(beat);
+            return beat;
+        }
+        this.tempo && (beat.tempo = this.tempo);
+        this.repeatOpen && (beat.repeatOpen = true);
+        this.tempo = null;
+        this.repeatOpen = false;
+        this.bar.beats.push(beat);
+        this.last = beat;
+        return beat;
+    }
+
+    private note(token: SDToken) {
+        let source = this.notes[token.start];
+        if (!source) {
+            return;
+        }
+        let note: SDTreeNote = { type: 'note', value: source.value, start: source.start, end: source.end, beat: source.beat, duration: source.duration, octave: source.octaveOffset() };
+        source.isTie && (note.tie = true);
+        source.isRest && !source.isTie && (note.rest = true);
+        source.glidesFrom && (note.meend = true);
+        source.kan.length && (note.kan = source.kan.map((kan) => kan.value));
+        source.cents && (note.cents = source.cents);
+        source.shruti && (note.shruti = source.shruti);
+        this.lyrics[source.start] !== undefined && (note.lyric = this.lyrics[source.start]);
+        let beats = this.groups.length ? this.groups : [this.beat()];
+        beats[beats.length - 1].notes.push(note);
+        for (let beat of beats) {
+            beat.beat = beat.beat === null ? note.beat : beat.beat;
+            beat.duration += note.duration;
+        }
+    }
+}
@@ -0,0 +1,58 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDShruti_1 = require("./SDShruti");
+/*
+ * Tuning system chosen in the header, as the cents above Sa of each of the
+ * 12 swaras: `||tuning: just||`, `||22 shruti||` or a table of 12 cents
+ * like `||tuning: 0 112 204 316 386 498 590 702 814 884 996 1088||`.
+ * Equal temperament is used when none is given.
+ */
+class SDTuning {
+    constructor(name, cents) {
+        this.name = name;
+        this.cents = cents;
+    }
+    static equal() {
+        return new SDTuning('12tet', SDTuning.systems['12tet']);
+    }
+    static parse(field) {
+        let match = field.match(/^tuning\s*:\s*(.+)$/i);
+        let value = (match ? match[1] : field).trim();
+        let name = value.toLowerCase().replace(/[\s-]+/g, '');
+        name = SDTuning.aliases[name] || name;
+        let cents = value.split(/\s+/).map((c) => Number(c));
+        let isTable = match && cents.length === 12 && cents.every((c) => !Number.isNaN(c));
+        if (isTable) {
+            return new SDTuning('custom', cents);
+        }
+        let isNamed = SDTuning.systems[name] && (match || name === 'shruti');
+        return isNamed ? new SDTuning(name, SDTuning.systems[name]) : null;
+    }
+    /*
+     * Semitones of a note above the Sa of the composition, fractional away
+     * from equal temperament. A shruti annotation replaces the tuning's
+     * pitch for the swar, a cents annotation is added to it.
+     */
+    semitones(note) {
+        let degree = note.degree();
+        let pitchClass = (degree % 12 + 12) % 12;
+        let octave = note.octaveOffset() + Math.floor(degree / 12);
+        let cents = note.shruti ? SDShruti_1.default.cents(note.shruti) : this.cents[pitchClass];
+        return octave * 12 + (cents + note.cents) / 100;
+    }
+}
+SDTuning.systems = {
+    '12tet': [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100],
+    'just': [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map((ratio) => 1200 * Math.log2(ratio)),
+    'shruti': SDShruti_1.default.usualCents()
+};
+SDTuning.aliases = {
+    'et': '12tet',
+    'equal': '12tet',
+    'equaltemperament': '12tet',
+    'justintonation': 'just',
+    '22shruti': 'shruti',
+    '22shrutis': 'shruti',
+    'shrutis': 'shruti'
+};
+exports.default = SDTuning;
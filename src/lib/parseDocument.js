@@ -0,0 +1,39 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const SDDocument_1 = require("./SDDocument");
+/*
+ * Parses a composition into plain data: notes with their timing in beats,
+ * the header and the diagnostics. Synchronous and free of Tone.js and the
+ * DOM, so it runs in Node scripts and on the server as well.
+ */
+function parseDocument(text) {
+    let doc = SDDocument_1.default.parse(text);
+    let lyrics = {};
+    doc.lyrics.forEach((syllable) => lyrics[syllable.note.start] === undefined && (lyrics[syllable.note.start] = syllable.text));
+    let notes = doc.notes.map((note) => parsedNote(note, doc.header.tuning, lyrics));
+    let last = doc.notes[doc.notes.length - 1];
+    return {
+        metadata: doc.header.metadata(),
+        notes: notes,
+        beats: last ? last.beat + last.duration : 0,
+        sections: doc.sections,
+        arrangement: (doc.header.arrangement.length ? doc.arrangement : doc.sections).map((section) => section.name),
+        diagnostics: doc.diagnostics
+    };
+}
+exports.default = parseDocument;
+function parsedNote(note, tuning, lyrics) {
+    return {
+        value: note.value,
+        start: note.start,
+        end: note.end,
+        beat: note.beat,
+        duration: note.duration,
+        semitones: note.isRest ? null : tuning.semitones(note),
+        tie: note.isTie,
+        rest: note.isRest,
+        meend: !!note.glidesFrom,
+        kan: note.kan.map((kan) => Object.assign(parsedNote(kan, tuning, {}), { beat: note.beat, duration: 0 })),
+        lyric: lyrics[note.start] !== undefined ? lyrics[note.start] : null
+    };
+}
@@ -0,0 +1,65 @@
+import SDDocument, { SDSection } from './SDDocument';
+import { SDMetadata } from './SDHeader';
+import SDSourceNote from './SDSourceNote';
+import SDTuning from './SDTuning';
+import SDDiagnostic from './SDDiagnostic';
+
+export interface SDParsedNote {
+    value: string
+    start: number
+    end: number
+    beat: number
+    duration: number //beats
+    semitones: number //above Sa in the tuning of the composition, fractional for shrutis and cents
+    tie: boolean
+    rest: boolean
+    meend: boolean //slides in from the previous swar
+    kan: SDParsedNote[] //grace notes at the start of the beat, without a duration of their own
+    lyric: string
+}
+
+export interface SDParsedDocument {
+    metadata: SDMetadata
+    notes: SDParsedNote[] //in playing order, repeats written out
+    beats: number //length of the composition
+    sections: SDSection[]
+    arrangement: string[] //names of the sections in the order they are played, document order without a `play:` header
+    diagnostics: SDDiagnostic[]
+}
+
+/*
+ * Parses a composition into plain data: notes with their timing in beats,
+ * the header and the diagnostics. Synchronous and free of Tone.js and the
+ * DOM, so it runs in Node scripts and on the server as well.
+ */
+export default function parseDocument(text: string): SDParsedDocument {
+    let doc = SDDocument.parse(text);
+    let lyrics: { [start: number]: string } = {};
+    doc.lyrics.forEach((syllable) => lyrics[syllable.note.start] === undefined && (lyrics[syllable.note.start] = syllable.text));
+    let notes = doc.notes.map((note) => parsedNote(note, doc.header.tuning, lyrics));
+    let last = doc.notes[doc.notes.length - 1];
+    return {
+        metadata: doc.header.metadata(),
+        notes: notes,
+        beats: last ? last.beat + last.duration : 0,
+        sections: doc.sections,
+        arrangement: (doc.header.arrangement.length ? doc.arrangement : doc.sections).map((section) => section.name),
+        diagnostics: doc.diagnostics
+    };
+}
+
+function parsedNote(note: SDSourceNote, tuning: SDTuning, lyrics: { [start: number]: string }): SDParsedNote {
+    return {
+        value: note.value,
+        start: note.start,
+        end: note.end,
+        beat: note.beat,
+        duration: note.duration,
+        semitones: note.isRest ? null : tuning.semitones(note),
+        tie: note.isTie,
+        rest: note.isRest,
+        meend: !!note.glidesFrom,
+        kan: note.kan.map((kan) => Object.assign(parsedNote(kan, tuning, {}), { beat: note.beat, duration: 0 })),
+        lyric: lyrics[note.start] !== undefined ? lyrics[note.start] : null
+    };
+}
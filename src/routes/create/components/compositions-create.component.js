@@ -1,5 +1,6 @@
 const ToneFactory = require("../../../lib/ToneFactory").default;
-const SD = require('surdownjs');
+const SDDocument = require("../../../lib/SDDocument").default;
+const SDSourcePlayer = require("../../../lib/SDSourcePlayer").default;
 const SampleCompositions = require('../../../lib/SampleCompositions');
 // import SampleCompositions from '../../lib/SampleCompositions';
 
@@ -21,9 +22,12 @@ module.exports = class {
         localStorage.setItem('composition', input.value);
         input.focus();
 
+        let doc = SDDocument.parse(input.value);
+        let isSelected = input.selectionStart !== input.selectionEnd;
         Tone.context.resume().then(() => {
-            new SD.Player(Tone, this.piano, 63).play(input.value, input.selectionStart, input.selectionEnd);
-        });
+            isSelected || !doc.arrangement.length ? this.player.play(doc, input.selectionStart, input.selectionEnd)
+                : this.player.playSections(doc, doc.arrangement);
+        }).catch((e) => console.error(e));
     }
     onMount() {
 
@@ -73,6 +77,8 @@ module.exports = class {
         var vol = new Tone.Volume(0);
         this.piano.chain(vol, Tone.Master);
 
+        this.player = new SDSourcePlayer(Tone, this.piano);
+
         Tone.Transport.bpm.value = 80;
 
         Tone.Buffer.on('load', () => {
@@ -86,4 +92,8 @@ module.exports = class {
 
     }
 
+    onDestroy() {
+        this.player && this.player.stop();
+    }
+
 }
\ No newline at end of file